@@ -31,35 +31,393 @@ const CostcoAnalytics = (() => {
     '93': 'Pharmacy & OTC'
   };
 
-  function getDeptLabel(id) {
-    return DEPARTMENT_LABELS[id] || `Dept ${id}`;
+  const FUEL_LABEL = 'Gasoline';
+
+  // Gas pump products, e.g. "REGULAR UNLEADED", "PREM UNL", "DIESEL". The whole
+  // name must match so warehouse items like "DIESEL EXHAUST FLUID" don't count.
+  const FUEL_NAME_PATTERN = /^\s*(?:(?:REG(?:ULAR)?|PREM(?:IUM)?|SUPER|MID(?:GRADE)?|PLUS)(?:\s+(?:UNLEADED|UNL|GAS(?:OLINE)?))?|UNLEADED|UNL|GASOLINE|DIESEL(?:\s+FUEL)?)\s*$/i;
+
+  const EMPTY_TAXONOMY = { departments: {}, categories: [], rules: [] };
+
+  /**
+   * A user-edited taxonomy with its rules ready to match. Functions that take
+   * a taxonomy accept either the saved setting or an already compiled one.
+   * @param {Object} [taxonomy]
+   * @param {Object} [taxonomy.departments] - department ID -> label; renames a
+   *   department, or merges several when they share a label
+   * @param {Array<string>} [taxonomy.categories] - custom categories, offered even before anything is assigned to them
+   * @param {Array<Object>} [taxonomy.rules] - {type: 'sku'|'name', pattern, category};
+   *   the first matching rule wins over the line's department
+   */
+  function compileTaxonomy(taxonomy) {
+    if (taxonomy && taxonomy.matchers) return taxonomy;
+    const compiled = { ...EMPTY_TAXONOMY, ...taxonomy };
+    compiled.matchers = compiled.rules
+      .filter(rule => rule.category && String(rule.pattern || '').trim())
+      .map(rule => ({ rule, test: buildRuleTest(rule) }));
+    return compiled;
+  }
+
+  /**
+   * SKU rules match the item number exactly; name rules match anywhere in the
+   * item name, case-insensitively, with * as a wildcard.
+   */
+  function buildRuleTest(rule) {
+    const pattern = String(rule.pattern).trim();
+    if (rule.type === 'sku') {
+      return r => String(r.item_sku || '').trim() === pattern;
+    }
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp(source, 'i');
+    return r => regex.test(String(r.item_actual_name || r.item_name || ''));
+  }
+
+  function getDeptLabel(id, taxonomy) {
+    if (!id) return 'Uncategorized';
+    return (taxonomy || EMPTY_TAXONOMY).departments[id] || DEPARTMENT_LABELS[id] || `Dept ${id}`;
+  }
+
+  /**
+   * Whether a line is a gas pump fill-up: a gas station receipt, or an item
+   * name that is just a fuel grade.
+   */
+  function isFuelLine(r) {
+    return getChannel(r) === 'Gas Station' ||
+      FUEL_NAME_PATTERN.test(String(r.item_actual_name || r.item_name || ''));
+  }
+
+  function findRule(r, taxonomy) {
+    const match = taxonomy.matchers.find(m => m.test(r));
+    return match ? match.rule : null;
+  }
+
+  /**
+   * Category label for a line: a matching taxonomy rule, else Gasoline for
+   * fuel (gas receipts carry no meaningful department), else the department.
+   * @param {Object} r
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   */
+  function getRowCategory(r, taxonomy) {
+    const compiled = compileTaxonomy(taxonomy);
+    const rule = findRule(r, compiled);
+    if (rule) return rule.category;
+    return isFuelLine(r) ? FUEL_LABEL : getDeptLabel(r.department_id, compiled);
+  }
+
+  /**
+   * Every known department label and custom category, plus any unlabeled
+   * departments in the data.
+   */
+  function getDepartmentLabels(rows, taxonomy) {
+    const compiled = compileTaxonomy(taxonomy);
+    const labels = new Set(Object.keys(DEPARTMENT_LABELS).map(id => getDeptLabel(id, compiled)));
+    compiled.categories.forEach(c => labels.add(c));
+    compiled.matchers.forEach(m => labels.add(m.rule.category));
+    (rows || []).forEach(r => labels.add(getRowCategory(r, compiled)));
+    return Array.from(labels).sort();
+  }
+
+  /**
+   * Keep rows in one category, or every row for 'all'.
+   */
+  function filterByCategory(rows, category, taxonomy) {
+    if (!category || category === 'all') return rows;
+    const compiled = compileTaxonomy(taxonomy);
+    return rows.filter(r => getRowCategory(r, compiled) === category);
+  }
+
+  /**
+   * How the taxonomy applies to the data: each department ID with its default
+   * and current label, each rule with the lines it catches, and each category
+   * with its line count and spend.
+   */
+  function computeTaxonomyUsage(rows, taxonomy) {
+    const compiled = compileTaxonomy(taxonomy);
+    const deptMap = {};
+    Object.keys(DEPARTMENT_LABELS).forEach(id => { deptMap[id] = 0; });
+    Object.keys(compiled.departments).forEach(id => { deptMap[id] = deptMap[id] || 0; });
+
+    const ruleCounts = compiled.rules.map(() => 0);
+    const categoryMap = {};
+    getDepartmentLabels([], compiled).forEach(label => { categoryMap[label] = { label, lines: 0, spend: 0 }; });
+
+    rows.forEach(r => {
+      if (r.department_id) deptMap[r.department_id] = (deptMap[r.department_id] || 0) + 1;
+      const rule = findRule(r, compiled);
+      if (rule) ruleCounts[compiled.rules.indexOf(rule)]++;
+
+      const label = getRowCategory(r, compiled);
+      if (!categoryMap[label]) categoryMap[label] = { label, lines: 0, spend: 0 };
+      categoryMap[label].lines++;
+      categoryMap[label].spend += r.line_total;
+    });
+
+    return {
+      departments: Object.entries(deptMap)
+        .map(([id, lines]) => ({
+          id,
+          defaultLabel: DEPARTMENT_LABELS[id] || `Dept ${id}`,
+          label: getDeptLabel(id, compiled),
+          renamed: !!compiled.departments[id],
+          lines
+        }))
+        .sort((a, b) => (parseInt(a.id) - parseInt(b.id)) || a.id.localeCompare(b.id)),
+      rules: compiled.rules.map((rule, i) => ({ ...rule, lines: ruleCounts[i] })),
+      categories: Object.values(categoryMap)
+        .map(c => ({ ...c, spend: round2(c.spend), custom: compiled.categories.includes(c.label) }))
+        .sort((a, b) => a.label.localeCompare(b.label))
+    };
   }
 
   /**
    * Main entry: compute everything from an array of parsed rows.
+   * @param {Array<Object>} rows
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.allRows] - every line before the date, location,
+   *   category, and tag filters, so receipt savings are shared over whole receipts
+   *   and replenishment and membership projections use the full purchase history
+   * @param {Object} [options.taxonomy] - department renames, custom categories, and rules, see compileTaxonomy
+   * @param {Object} [options.budgets] - monthly budgets, see computeBudgets
+   * @param {Object} [options.annotations] - tags and notes, see getRowTags
+   * @param {Object} [options.household] - members, splits, and payers, see computeHousehold
+   * @param {boolean} [options.excludeFuelFromTrend] - leave fuel out of the spending trend insight
+   * @param {Object} [options.rewards] - cashback rates per card, see computePayments
+   * @param {Object} [options.membership] - renewal month and tier, see computeMembership
+   * @param {number} [options.fsaPlanStartMonth] - 1-12, month the FSA/HSA plan year starts
    */
-  function computeAll(rows) {
+  function computeAll(rows, options) {
+    const opts = options || {};
+    const taxonomy = compileTaxonomy(opts.taxonomy);
+    const lineSavings = allocateLineSavings(opts.allRows || rows);
     const purchases = rows.filter(r => r.quantity > 0);
+    const allPurchases = opts.allRows ? opts.allRows.filter(r => r.quantity > 0) : purchases;
     const returns = rows.filter(r => r.quantity < 0);
+    const budgets = computeBudgets(rows, opts.budgets, taxonomy);
+    const priceAdjustments = computePriceAdjustments(purchases.filter(r => !isFuelLine(r)), lineSavings);
+    const inflation = {
+      month: computeInflationIndex(purchases, 'month'),
+      quarter: computeInflationIndex(purchases, 'quarter')
+    };
+    const membership = computeMembership(opts.allRows || rows, opts.membership);
+    const priceChanges = computePriceChanges(purchases, lineSavings);
+    const receipts = scopeReceipts(rows, opts.allRows || rows, lineSavings);
 
     return {
       summary: computeSummary(rows, purchases, returns),
       monthly: computeMonthly(rows),
-      departments: computeDepartments(purchases),
+      departments: computeDepartments(purchases, taxonomy),
       basketSize: computeBasketSize(rows),
       topFrequency: computeTopFrequency(purchases, 20),
       topSpend: computeTopSpend(purchases, 20),
       frequencyTable: computeFrequencyTable(purchases),
-      priceChanges: computePriceChanges(purchases),
+      priceChanges,
+      replenishment: computeReplenishment(allPurchases, taxonomy),
       returnsTable: buildReturnsTable(returns),
       savingsBreakdown: computeSavingsBreakdown(rows),
       monthlySavings: computeMonthlySavings(rows),
-      topDiscounts: computeTopDiscounts(rows),
+      inflation,
+      topDiscounts: computeTopDiscounts(rows, lineSavings),
       potentialReturns: computePotentialReturns(rows),
-      insights: generateInsights(rows, purchases, returns)
+      priceAdjustments,
+      receipts,
+      locations: computeLocations(rows, taxonomy),
+      fuel: computeFuel(rows),
+      payments: computePayments(receipts, opts.rewards),
+      membership,
+      feesAndTaxes: computeFeesAndTaxes(rows, receipts, taxonomy),
+      fsa: computeFSA(rows, opts.fsaPlanStartMonth, lineSavings),
+      tags: computeTags(rows, opts.annotations),
+      household: computeHousehold(rows, opts.household, opts.allRows || rows, lineSavings, taxonomy),
+      budgets,
+      insights: generateInsights(rows, purchases, returns, {
+        budgets,
+        inflation,
+        priceChanges,
+        priceAdjustments,
+        membership,
+        excludeFuelFromTrend: !!opts.excludeFuelFromTrend
+      }),
+      lineSavings
+    };
+  }
+
+  /* ---- Date Ranges ---- */
+
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
+  const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+  /**
+   * Resolve a date-range preset to concrete bounds (inclusive, local days).
+   * Presets: 'all', 'this-month', 'last-90', 'ytd', 'last-12m', 'year:YYYY'.
+   * @returns {{start: Date|null, end: Date|null}} null bounds mean unbounded.
+   */
+  function getPresetRange(preset, today) {
+    const now = today || new Date();
+    const end = startOfDay(now);
+
+    if (preset === 'this-month') {
+      return { start: new Date(now.getFullYear(), now.getMonth(), 1), end };
+    }
+    if (preset === 'last-90') {
+      return { start: new Date(end.getTime() - 89 * DAY_MS), end };
+    }
+    if (preset === 'ytd') {
+      return { start: new Date(now.getFullYear(), 0, 1), end };
+    }
+    if (preset === 'last-12m') {
+      return { start: new Date(now.getFullYear(), now.getMonth() - 11, 1), end };
+    }
+    if (preset && preset.startsWith('year:')) {
+      const year = parseInt(preset.slice(5));
+      return { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+    }
+    return { start: null, end: null };
+  }
+
+  /**
+   * Keep rows whose transaction_date falls within [start, end] (whole days).
+   * Rows without a usable date are dropped once either bound is set.
+   */
+  function filterByDateRange(rows, range) {
+    if (!range || (!range.start && !range.end)) return rows;
+
+    const startMs = range.start ? startOfDay(range.start).getTime() : -Infinity;
+    const endMs = range.end ? startOfDay(range.end).getTime() + DAY_MS : Infinity;
+
+    return rows.filter(r => {
+      if (!(r.transaction_date instanceof Date)) return false;
+      const t = r.transaction_date.getTime();
+      return t >= startMs && t < endMs;
+    });
+  }
+
+  /**
+   * Calendar years present in the data, newest first.
+   */
+  function getDataYears(rows) {
+    const years = new Set();
+    rows.forEach(r => {
+      if (r.transaction_date instanceof Date) years.add(r.transaction_date.getFullYear());
+    });
+    return Array.from(years).sort((a, b) => b - a);
+  }
+
+  /**
+   * Earliest and latest transaction dates in the data.
+   */
+  function getDataRange(rows) {
+    let start = null;
+    let end = null;
+    rows.forEach(r => {
+      const d = r.transaction_date;
+      if (!(d instanceof Date)) return;
+      if (!start || d < start) start = d;
+      if (!end || d > end) end = d;
+    });
+    return { start, end };
+  }
+
+  /* ---- Period Comparison ---- */
+
+  /**
+   * Derive the comparison period for a bounded range.
+   * 'previous' is the same number of days immediately before; 'last-year' is
+   * the same dates one year earlier.
+   */
+  function getComparisonRange(range, mode) {
+    if (!range || !range.start || !range.end) return null;
+    const start = startOfDay(range.start);
+    const end = startOfDay(range.end);
+
+    if (mode === 'last-year') {
+      return {
+        start: new Date(start.getFullYear() - 1, start.getMonth(), start.getDate()),
+        end: new Date(end.getFullYear() - 1, end.getMonth(), end.getDate())
+      };
+    }
+    if (mode === 'previous') {
+      const days = Math.round((end - start) / DAY_MS) + 1;
+      const prevEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+      return {
+        start: new Date(prevEnd.getFullYear(), prevEnd.getMonth(), prevEnd.getDate() - days + 1),
+        end: prevEnd
+      };
+    }
+    return null;
+  }
+
+  /**
+   * The subset of metrics needed to draw a comparison series.
+   * @param {Array<Object>} rows
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   */
+  function computePeriodMetrics(rows, taxonomy) {
+    const purchases = rows.filter(r => r.quantity > 0);
+    const returns = rows.filter(r => r.quantity < 0);
+    return {
+      summary: computeSummary(rows, purchases, returns),
+      monthly: computeMonthly(rows),
+      departments: computeDepartments(purchases, compileTaxonomy(taxonomy))
+    };
+  }
+
+  /**
+   * Compare two summaries field by field.
+   * @returns {Object<string, {current: number, previous: number, delta: number, percent: number|null}>}
+   */
+  function compareSummaries(current, previous) {
+    const fields = [
+      'totalSpent', 'totalTrips', 'totalItemsPurchased',
+      'totalItemsReturned', 'totalSavings', 'avgPerTrip'
+    ];
+    const result = {};
+    fields.forEach(f => {
+      const cur = current[f] || 0;
+      const prev = previous[f] || 0;
+      result[f] = {
+        current: cur,
+        previous: prev,
+        delta: round2(cur - prev),
+        percent: prev !== 0 ? round2((cur - prev) / Math.abs(prev) * 100) : null
+      };
+    });
+    return result;
+  }
+
+  /**
+   * Line the comparison period's monthly purchases up against the current
+   * period's month labels, shifting by monthOffset months.
+   * @returns {{labels: Array<string|null>, purchases: Array<number|null>}}
+   */
+  function alignMonthly(current, comparison, monthOffset) {
+    const byMonth = {};
+    comparison.labels.forEach((k, i) => { byMonth[k] = comparison.purchases[i]; });
+
+    const labels = current.labels.map(k => shiftMonthKey(k, -monthOffset));
+    return {
+      labels,
+      purchases: labels.map(k => (k in byMonth ? byMonth[k] : null))
+    };
+  }
+
+  /**
+   * Comparison department values in the same order as the current labels.
+   */
+  function alignDepartments(current, comparison) {
+    const byLabel = {};
+    comparison.labels.forEach((l, i) => { byLabel[l] = comparison.values[i]; });
+    return {
+      labels: current.labels,
+      values: current.labels.map(l => byLabel[l] || 0)
     };
   }
 
+  function monthsBetween(a, b) {
+    return (b.getFullYear() - a.getFullYear()) * 12 + (b.getMonth() - a.getMonth());
+  }
+
   /* ---- Summary ---- */
 
   function computeSummary(rows, purchases, returns) {
@@ -155,10 +513,10 @@ const CostcoAnalytics = (() => {
 
   /* ---- Department Spending ---- */
 
-  function computeDepartments(purchases) {
+  function computeDepartments(purchases, taxonomy) {
     const map = {};
     purchases.forEach(r => {
-      const label = getDeptLabel(r.department_id);
+      const label = getRowCategory(r, taxonomy);
       map[label] = (map[label] || 0) + r.line_total;
     });
 
@@ -201,8 +559,8 @@ const CostcoAnalytics = (() => {
   function computeTopFrequency(purchases, limit) {
     const map = {};
     purchases.forEach(r => {
-      const key = r.item_sku || r.item_name;
-      if (!map[key]) map[key] = { name: r.item_actual_name, count: 0 };
+      const key = itemKey(r);
+      if (!map[key]) map[key] = { key, name: r.item_actual_name, count: 0 };
       map[key].count += Math.abs(r.quantity);
     });
 
@@ -210,7 +568,8 @@ const CostcoAnalytics = (() => {
     return {
       labels: sorted.map(e => truncate(e.name, 35)),
       values: sorted.map(e => e.count),
-      fullNames: sorted.map(e => e.name)
+      fullNames: sorted.map(e => e.name),
+      keys: sorted.map(e => e.key)
     };
   }
 
@@ -219,8 +578,8 @@ const CostcoAnalytics = (() => {
   function computeTopSpend(purchases, limit) {
     const map = {};
     purchases.forEach(r => {
-      const key = r.item_sku || r.item_name;
-      if (!map[key]) map[key] = { name: r.item_actual_name, total: 0 };
+      const key = itemKey(r);
+      if (!map[key]) map[key] = { key, name: r.item_actual_name, total: 0 };
       map[key].total += r.line_total;
     });
 
@@ -228,7 +587,8 @@ const CostcoAnalytics = (() => {
     return {
       labels: sorted.map(e => truncate(e.name, 35)),
       values: sorted.map(e => round2(e.total)),
-      fullNames: sorted.map(e => e.name)
+      fullNames: sorted.map(e => e.name),
+      keys: sorted.map(e => e.key)
     };
   }
 
@@ -237,9 +597,10 @@ const CostcoAnalytics = (() => {
   function computeFrequencyTable(purchases) {
     const map = {};
     purchases.forEach(r => {
-      const key = r.item_sku || r.item_name;
+      const key = itemKey(r);
       if (!map[key]) {
         map[key] = {
+          key,
           sku: r.item_sku,
           name: r.item_actual_name,
           count: 0,
@@ -263,38 +624,334 @@ const CostcoAnalytics = (() => {
 
   /* ---- Price Changes ---- */
 
-  function computePriceChanges(purchases) {
+  /**
+   * Group purchase prices by item, each list sorted by date. Every point keeps
+   * the shelf unit price, the item's own instant savings on that line, and the
+   * effective per-unit price net of those savings.
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings
+   * @returns {Object<string, {key: string, name: string, prices: Array<Object>}>}
+   */
+  function collectPriceHistory(purchases, lineSavings) {
     const map = {};
     purchases.forEach(r => {
-      const key = r.item_sku || r.item_name;
-      if (!map[key]) map[key] = { name: r.item_actual_name, prices: [] };
+      const key = itemKey(r);
+      const savings = ownSavings(r, lineSavings);
+      if (!map[key]) map[key] = { key, name: r.item_actual_name, prices: [] };
       map[key].prices.push({
         price: r.unit_price,
-        date: r.transaction_date
+        date: r.transaction_date,
+        savings,
+        netPrice: netUnitPrice(r, savings)
       });
     });
 
+    Object.values(map).forEach(item => item.prices.sort((a, b) => a.date - b.date));
+    return map;
+  }
+
+  /**
+   * Price movement per item across its whole history.
+   *
+   * Purchases made with instant savings, and shelf-price dips that recover on
+   * the next purchase, are treated as temporary drops. The old/new prices are
+   * the first and last regular (non-drop) shelf prices, so a sale in the middle
+   * of the history doesn't read as inflation or deflation.
+   */
+  function computePriceChanges(purchases, lineSavings) {
+    const map = collectPriceHistory(purchases, lineSavings);
+
     const changes = [];
     Object.values(map).forEach(item => {
-      if (item.prices.length < 2) return;
-      item.prices.sort((a, b) => a.date - b.date);
-      const uniquePrices = new Set(item.prices.map(p => p.price));
-      if (uniquePrices.size > 1) {
-        const first = item.prices[0];
-        const last = item.prices[item.prices.length - 1];
-        changes.push({
-          name: item.name,
-          oldPrice: first.price,
-          newPrice: last.price,
-          change: round2(last.price - first.price),
-          changePercent: round2(((last.price - first.price) / first.price) * 100),
-          firstDate: first.date,
-          lastDate: last.date
-        });
-      }
+      const points = item.prices;
+      if (points.length < 2) return;
+
+      const shelfPrices = points.map(p => p.price);
+      const netPrices = points.map(p => p.netPrice);
+      const distinct = new Set(shelfPrices.concat(netPrices));
+      if (distinct.size < 2) return;
+
+      const tempDrops = points.filter((p, i) => {
+        if (p.savings > 0) return true;
+        const prev = points[i - 1];
+        const next = points[i + 1];
+        return prev && next && p.price < prev.price && p.price < next.price;
+      });
+      const regular = points.filter(p => !tempDrops.includes(p));
+      const trend = regular.length >= 2 ? regular : points;
+
+      const first = trend[0];
+      const last = trend[trend.length - 1];
+      const netFirst = points[0].netPrice;
+      const netLast = points[points.length - 1].netPrice;
+
+      changes.push({
+        key: item.key,
+        name: item.name,
+        oldPrice: first.price,
+        newPrice: last.price,
+        change: round2(last.price - first.price),
+        changePercent: first.price > 0 ? round2(((last.price - first.price) / first.price) * 100) : 0,
+        firstDate: first.date,
+        lastDate: last.date,
+        purchases: points.length,
+        minPrice: Math.min(...shelfPrices),
+        maxPrice: Math.max(...shelfPrices),
+        medianPrice: round2(median(shelfPrices)),
+        pricePoints: new Set(shelfPrices).size,
+        tempDrops: tempDrops.map(p => ({
+          date: p.date,
+          price: p.price,
+          netPrice: p.netPrice,
+          savings: p.savings
+        })),
+        saleCount: points.filter(p => p.savings > 0).length,
+        avgNetPrice: round2(netPrices.reduce((s, v) => s + v, 0) / netPrices.length),
+        netChangePercent: netFirst > 0 ? round2((netLast - netFirst) / netFirst * 100) : 0
+      });
+    });
+
+    return changes.sort((a, b) =>
+      Math.abs(b.changePercent) - Math.abs(a.changePercent) ||
+      (b.maxPrice - b.minPrice) - (a.maxPrice - a.minPrice));
+  }
+
+  /* ---- Item Detail ---- */
+
+  /**
+   * Everything known about one item (keyed like the other item tables:
+   * item_sku, falling back to item_name).
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings (computeAll's lineSavings)
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   * @returns {Object|null} null when the item isn't in the data
+   */
+  function computeItemDetail(rows, key, lineSavings, taxonomy) {
+    const lines = rows.filter(r => itemKey(r) === key);
+    if (lines.length === 0) return null;
+
+    const purchases = lines.filter(r => r.quantity > 0);
+    const returns = lines.filter(r => r.quantity < 0);
+    const toLine = r => ({
+      date: r.transaction_date,
+      receiptId: r.receipt_id,
+      warehouse: r.warehouse_info || '',
+      quantity: Math.abs(r.quantity),
+      unitPrice: r.unit_price,
+      lineTotal: Math.abs(r.line_total),
+      instantSavings: round2(allocatedSavings(r, lineSavings))
+    });
+    const byDateDesc = (a, b) => b.date - a.date;
+
+    const history = collectPriceHistory(purchases, lineSavings)[key];
+    const prices = history ? history.prices.filter(p => p.date instanceof Date) : [];
+    const withImage = lines.find(r => r.full_item_image);
+
+    return {
+      key,
+      sku: lines[0].item_sku,
+      name: lines[0].item_actual_name,
+      description: lines[0].item_description_2 || '',
+      department: getRowCategory(lines[0], taxonomy),
+      image: withImage ? withImage.full_item_image : '',
+      purchases: purchases.map(toLine).sort(byDateDesc),
+      returns: returns.map(toLine).sort(byDateDesc),
+      totalQuantity: purchases.reduce((s, r) => s + Math.abs(r.quantity), 0),
+      totalSpent: round2(sum(purchases, 'line_total')),
+      totalRefunded: round2(Math.abs(sum(returns, 'line_total'))),
+      totalSavings: round2(purchases.reduce((s, r) => s + allocatedSavings(r, lineSavings), 0)),
+      priceHistory: {
+        dates: prices.map(p => p.date),
+        prices: prices.map(p => p.price),
+        netPrices: prices.map(p => round2(p.netPrice))
+      },
+      intervals: computePurchaseIntervals(purchases.map(r => r.transaction_date))
+    };
+  }
+
+  /**
+   * Day gaps between distinct purchase dates.
+   */
+  function computePurchaseIntervals(dates) {
+    const days = Array.from(new Set(
+      dates.filter(d => d instanceof Date).map(d => startOfDay(d).getTime())
+    )).sort((a, b) => a - b);
+
+    const gaps = [];
+    for (let i = 1; i < days.length; i++) {
+      gaps.push(Math.round((days[i] - days[i - 1]) / DAY_MS));
+    }
+
+    const last = days.length > 0 ? days[days.length - 1] : null;
+    return {
+      purchaseDays: days.length,
+      count: gaps.length,
+      avgDays: gaps.length ? round2(gaps.reduce((s, g) => s + g, 0) / gaps.length) : null,
+      medianDays: gaps.length ? median(gaps) : null,
+      minDays: gaps.length ? Math.min(...gaps) : null,
+      maxDays: gaps.length ? Math.max(...gaps) : null,
+      daysSinceLast: last !== null
+        ? Math.floor((startOfDay(new Date()).getTime() - last) / DAY_MS)
+        : null
+    };
+  }
+
+  /* ---- Replenishment ---- */
+
+  // Items bought on fewer days than this aren't treated as staples
+  const REPLENISH_MIN_DAYS = 3;
+  // Items not bought for this many usual intervals past their run-out are considered dropped
+  const REPLENISH_DROPPED_INTERVALS = 2;
+
+  /**
+   * Predict when each staple runs out. The usual repurchase interval is the
+   * median gap between purchase days; consumption per day is everything
+   * bought before the last trip spread over the days it lasted, so the last
+   * trip's quantity divided by that rate says how long it will last.
+   * @param {Array<Object>} purchases
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   * @returns {Array<Object>} staples ordered by days left, most urgent first
+   */
+  function computeReplenishment(purchases, taxonomy) {
+    const today = startOfDay(new Date()).getTime();
+    const map = {};
+    purchases.forEach(r => {
+      if (!(r.transaction_date instanceof Date) || isFuelLine(r)) return;
+      const key = itemKey(r);
+      if (!map[key]) map[key] = { key, sku: r.item_sku, name: r.item_actual_name, category: getRowCategory(r, taxonomy), days: {} };
+      const day = startOfDay(r.transaction_date).getTime();
+      map[key].days[day] = (map[key].days[day] || 0) + Math.abs(r.quantity);
+    });
+
+    const items = [];
+    Object.values(map).forEach(item => {
+      const days = Object.keys(item.days).map(Number).sort((a, b) => a - b);
+      if (days.length < REPLENISH_MIN_DAYS) return;
+
+      const gaps = [];
+      for (let i = 1; i < days.length; i++) gaps.push((days[i] - days[i - 1]) / DAY_MS);
+      const first = days[0];
+      const last = days[days.length - 1];
+      const quantities = days.map(d => item.days[d]);
+      const consumed = quantities.slice(0, -1).reduce((s, q) => s + q, 0);
+      const perDay = consumed / ((last - first) / DAY_MS);
+      const lastQuantity = quantities[quantities.length - 1];
+      const intervalDays = median(gaps);
+      const lastsDays = perDay > 0 ? lastQuantity / perDay : intervalDays;
+      const runOut = last + Math.round(lastsDays) * DAY_MS;
+      const daysLeft = Math.round((runOut - today) / DAY_MS);
+      if (daysLeft < -REPLENISH_DROPPED_INTERVALS * intervalDays) return;
+
+      items.push({
+        key: item.key,
+        sku: item.sku,
+        name: item.name,
+        category: item.category,
+        purchaseDays: days.length,
+        intervalDays: Math.round(intervalDays),
+        minDays: Math.round(Math.min(...gaps)),
+        maxDays: Math.round(Math.max(...gaps)),
+        perDay: round2(perDay),
+        usualQuantity: Math.max(1, Math.round(median(quantities))),
+        lastPurchase: new Date(last),
+        lastQuantity,
+        runOutDate: new Date(runOut),
+        daysLeft
+      });
+    });
+
+    return items.sort((a, b) => a.daysLeft - b.daysLeft || a.name.localeCompare(b.name));
+  }
+
+  /* ---- Personal Inflation Index ---- */
+
+  /**
+   * Chained price index over a fixed basket of staples: items bought in at
+   * least two periods, each weighted by the total quantity you bought of it.
+   *
+   * Each period is linked to the previous one using the items bought in it,
+   * compared against their last observed price (carried forward when an item
+   * skipped a period). The index starts at 100.
+   *
+   * @param {Array<Object>} purchases
+   * @param {'month'|'quarter'} granularity
+   * @returns {{periods: Array<string>, index: Array<number>, nominal: Array<number>,
+   *   real: Array<number>, basketSize: number, change: number|null}}
+   */
+  function computeInflationIndex(purchases, granularity) {
+    const keyFor = granularity === 'quarter' ? quarterKey : monthKey;
+
+    const items = {};
+    const nominalMap = {};
+    purchases.forEach(r => {
+      const pk = keyFor(r.transaction_date);
+      if (!pk) return;
+      nominalMap[pk] = (nominalMap[pk] || 0) + r.line_total;
+      if (!(r.unit_price > 0)) return;
+
+      const key = itemKey(r);
+      if (!items[key]) items[key] = { weight: 0, periods: {} };
+      const qty = Math.abs(r.quantity);
+      items[key].weight += qty;
+      if (!items[key].periods[pk]) items[key].periods[pk] = { spend: 0, qty: 0 };
+      items[key].periods[pk].spend += r.unit_price * qty;
+      items[key].periods[pk].qty += qty;
+    });
+
+    const basket = Object.values(items).filter(i => Object.keys(i.periods).length >= 2);
+    const periods = Object.keys(nominalMap).sort();
+    const lastPrice = new Map();
+    const index = [];
+
+    periods.forEach((pk, i) => {
+      let num = 0;
+      let den = 0;
+      basket.forEach(item => {
+        const obs = item.periods[pk];
+        if (!obs) return;
+        const price = obs.spend / obs.qty;
+        if (lastPrice.has(item)) {
+          num += item.weight * price;
+          den += item.weight * lastPrice.get(item);
+        }
+        lastPrice.set(item, price);
+      });
+
+      const prev = i === 0 ? 100 : index[i - 1];
+      index.push(den > 0 ? prev * (num / den) : prev);
     });
 
-    return changes.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+    const nominal = periods.map(pk => round2(nominalMap[pk]));
+    return {
+      periods,
+      index: index.map(round2),
+      nominal,
+      real: nominal.map((v, i) => round2(v / (index[i] / 100))),
+      basketSize: basket.length,
+      change: basket.length > 0 && index.length > 0 ? round2(index[index.length - 1] - 100) : null
+    };
+  }
+
+  /**
+   * Split the change in spending between two windows into price and volume.
+   * Compares the last `size` periods with the `size` before them.
+   * @returns {{spending: number, price: number, volume: number}|null} percent changes
+   */
+  function decomposeSpendingChange(inflation, size) {
+    const n = inflation.periods.length;
+    if (inflation.basketSize === 0 || n < size * 2) return null;
+
+    const avg = arr => arr.reduce((s, v) => s + v, 0) / arr.length;
+    const recent = inflation.nominal.slice(n - size);
+    const prior = inflation.nominal.slice(n - size * 2, n - size);
+    const priorSpend = prior.reduce((s, v) => s + v, 0);
+    if (priorSpend <= 0) return null;
+
+    const spendRatio = recent.reduce((s, v) => s + v, 0) / priorSpend;
+    const priceRatio = avg(inflation.index.slice(n - size)) / avg(inflation.index.slice(n - size * 2, n - size));
+    return {
+      spending: round2((spendRatio - 1) * 100),
+      price: round2((priceRatio - 1) * 100),
+      volume: round2((spendRatio / priceRatio - 1) * 100)
+    };
   }
 
   /* ---- Returns Table ---- */
@@ -355,19 +1012,20 @@ const CostcoAnalytics = (() => {
 
   /* ---- Top Discount Items ---- */
 
-  function computeTopDiscounts(rows) {
-    const purchases = rows.filter(r => r.quantity > 0 && r.instant_savings > 0);
+  function computeTopDiscounts(rows, lineSavings) {
+    const purchases = rows.filter(r => r.quantity > 0 && ownSavings(r, lineSavings) > 0);
     const map = {};
 
     purchases.forEach(r => {
       const key = r.item_sku || r.item_name;
       if (!map[key]) {
+        const savings = ownSavings(r, lineSavings);
         map[key] = {
           name: r.item_actual_name,
           unitPrice: r.unit_price,
-          savings: r.instant_savings,
+          savings,
           discountPct: r.unit_price > 0
-            ? round2((r.instant_savings / r.unit_price) * 100)
+            ? round2((savings / r.unit_price) * 100)
             : 0
         };
       }
@@ -513,66 +1171,1370 @@ const CostcoAnalytics = (() => {
     };
   }
 
-  /* ---- Insights ---- */
+  /* ---- Budgets ---- */
 
-  function generateInsights(rows, purchases, returns) {
-    const insights = [];
+  /**
+   * Compare net monthly spending (purchases minus returns) with budgets.
+   * @param {Array<Object>} rows
+   * @param {{overall: number|null, departments: Object<string, number>}} [budgets]
+   *   Monthly amounts. Departments are keyed by label; with no overall cap the
+   *   department budgets are summed instead.
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   * @param {Date} [today]
+   */
+  function computeBudgets(rows, budgets, taxonomy, today) {
+    const config = budgets || {};
+    const deptBudgets = {};
+    Object.entries(config.departments || {}).forEach(([label, amount]) => {
+      if (amount > 0) deptBudgets[label] = amount;
+    });
+    const deptTotal = Object.values(deptBudgets).reduce((s, v) => s + v, 0);
+    const overallBudget = config.overall > 0 ? config.overall : (deptTotal > 0 ? deptTotal : null);
 
-    // 1. Price increases
-    const priceChanges = computePriceChanges(purchases);
-    const increases = priceChanges.filter(c => c.change > 0);
-    if (increases.length > 0) {
-      const top = increases.slice(0, 3);
-      insights.push({
-        type: 'warning',
-        title: 'Rising Prices Detected',
-        text: `${increases.length} item(s) have increased in price. Top: ` +
-          top.map(i => `${i.name} (+$${i.change.toFixed(2)}, +${i.changePercent}%)`).join('; ') + '.'
-      });
-    }
+    const byMonth = {};
+    rows.forEach(r => {
+      const mk = monthKey(r.transaction_date);
+      if (!mk) return;
+      if (!byMonth[mk]) byMonth[mk] = { total: 0, depts: {} };
+      const label = getRowCategory(r, taxonomy);
+      byMonth[mk].total += r.line_total;
+      byMonth[mk].depts[label] = (byMonth[mk].depts[label] || 0) + r.line_total;
+    });
+    const months = Object.keys(byMonth).sort();
+
+    const departments = Object.keys(deptBudgets).sort().map(label => {
+      const actual = months.map(mk => round2(byMonth[mk].depts[label] || 0));
+      return {
+        label,
+        budget: deptBudgets[label],
+        actual,
+        overMonths: actual.filter(a => a > deptBudgets[label]).length
+      };
+    });
 
-    // 2. Most expensive repeat purchases
-    const freq = computeFrequencyTable(purchases);
-    const expensiveRepeats = freq
-      .filter(f => f.count >= 2)
-      .sort((a, b) => b.totalSpent - a.totalSpent)
-      .slice(0, 3);
+    // Burn-down follows today's month when the data covers it, else the latest month
+    const now = today || new Date();
+    const thisMonth = monthKey(now);
+    const currentKey = byMonth[thisMonth] ? thisMonth : months[months.length - 1];
 
-    if (expensiveRepeats.length > 0) {
-      insights.push({
-        type: 'info',
-        title: 'Biggest Repeat Expenses',
-        text: 'Your most costly repeat purchases: ' +
-          expensiveRepeats.map(i =>
-            `${i.name} (${i.count}x, $${i.totalSpent.toFixed(2)} total)`
-          ).join('; ') + '. Consider bulk alternatives or sales timing.'
-      });
-    }
+    return {
+      hasBudgets: overallBudget !== null,
+      months,
+      overall: {
+        budget: overallBudget,
+        actual: months.map(mk => round2(byMonth[mk].total))
+      },
+      departments,
+      current: currentKey
+        ? computeBurnDown(rows, currentKey, overallBudget, deptBudgets, byMonth[currentKey], now)
+        : null
+    };
+  }
 
-    // 3. Weekly staples vs. one-time buys
-    const repeats = freq.filter(f => f.count >= 3);
-    const oneTimers = freq.filter(f => f.count === 1);
-    insights.push({
-      type: 'info',
-      title: 'Purchase Patterns',
-      text: `You have ${repeats.length} staple item(s) purchased 3+ times and ` +
-        `${oneTimers.length} one-time purchase(s). ` +
-        (repeats.length > 0
-          ? `Your top staples: ${repeats.slice(0, 5).map(r => r.name).join(', ')}.`
-          : '')
+  function computeBurnDown(rows, mk, budget, deptBudgets, monthData, today) {
+    const [y, m] = mk.split('-').map(Number);
+    const daysInMonth = new Date(y, m, 0).getDate();
+    const isThisMonth = today.getFullYear() === y && today.getMonth() === m - 1;
+    const elapsed = isThisMonth ? today.getDate() : daysInMonth;
+
+    const daily = new Array(daysInMonth).fill(0);
+    rows.forEach(r => {
+      if (monthKey(r.transaction_date) === mk) {
+        daily[r.transaction_date.getDate() - 1] += r.line_total;
+      }
     });
 
-    // 4. Return rate
-    const totalItems = purchases.reduce((s, r) => s + Math.abs(r.quantity), 0);
-    const returnedItems = returns.reduce((s, r) => s + Math.abs(r.quantity), 0);
-    const returnRate = totalItems > 0 ? (returnedItems / totalItems * 100) : 0;
-    if (returnRate > 5) {
-      insights.push({
-        type: 'warning',
-        title: 'High Return Rate',
-        text: `Your return rate is ${returnRate.toFixed(1)}%. Review returned items to identify patterns ` +
-          `and reduce unnecessary purchases.`
-      });
+    const remaining = [];
+    const ideal = [];
+    let running = 0;
+    for (let d = 1; d <= daysInMonth; d++) {
+      running += daily[d - 1];
+      remaining.push(budget !== null && d <= elapsed ? round2(budget - running) : null);
+      ideal.push(budget !== null ? round2(budget * (1 - d / daysInMonth)) : null);
+    }
+
+    const project = (spent) => (isThisMonth && elapsed > 0 ? spent / elapsed * daysInMonth : spent);
+
+    const departments = Object.entries(deptBudgets).map(([label, deptBudget]) => {
+      const spent = monthData.depts[label] || 0;
+      return {
+        label,
+        budget: deptBudget,
+        spent: round2(spent),
+        remaining: round2(deptBudget - spent),
+        projected: round2(project(spent)),
+        over: spent > deptBudget
+      };
+    }).sort((a, b) => (b.spent / b.budget) - (a.spent / a.budget));
+
+    return {
+      month: mk,
+      isThisMonth,
+      daysInMonth,
+      elapsed,
+      budget,
+      spent: round2(monthData.total),
+      projected: round2(project(monthData.total)),
+      days: daily.map((_, i) => i + 1),
+      remaining,
+      ideal,
+      departments
+    };
+  }
+
+  /* ---- Locations & Channels ---- */
+
+  /**
+   * Shopping channel of a line, from receipt_type.
+   * @returns {'In-Warehouse'|'Online'|'Gas Station'}
+   */
+  function getChannel(r) {
+    const type = String(r.receipt_type || '').toLowerCase();
+    if (/gas|fuel/.test(type)) return 'Gas Station';
+    if (/online|\.com|web|ecom|delivery|ship|order/.test(type)) return 'Online';
+    return 'In-Warehouse';
+  }
+
+  /**
+   * Warehouse (or online store) a line was bought at.
+   */
+  function getLocation(r) {
+    const name = String(r.warehouse_info || '').trim();
+    if (name) return name;
+    return getChannel(r) === 'Online' ? 'costco.com' : 'Unknown location';
+  }
+
+  /**
+   * Locations and channels present in the data, for filter menus.
+   */
+  function getLocationOptions(rows) {
+    const channels = new Set();
+    const locations = new Set();
+    rows.forEach(r => {
+      channels.add(getChannel(r));
+      locations.add(getLocation(r));
+    });
+    return {
+      channels: Array.from(channels).sort(),
+      locations: Array.from(locations).sort()
+    };
+  }
+
+  /**
+   * Keep rows matching a location filter: 'all', 'channel:<name>' or 'location:<name>'.
+   */
+  function filterByLocation(rows, filter) {
+    if (!filter || filter === 'all') return rows;
+    const [kind, ...rest] = filter.split(':');
+    const value = rest.join(':');
+    const fn = kind === 'channel' ? getChannel : getLocation;
+    return rows.filter(r => fn(r) === value);
+  }
+
+  /**
+   * Spend, trips, average basket, and department mix per warehouse and per channel.
+   */
+  function computeLocations(rows, taxonomy) {
+    return {
+      warehouses: summarizeGroups(rows, getLocation, taxonomy),
+      channels: summarizeGroups(rows, getChannel, taxonomy)
+    };
+  }
+
+  function summarizeGroups(rows, keyFn, taxonomy) {
+    const groups = {};
+    rows.forEach(r => {
+      const key = keyFn(r);
+      if (!groups[key]) groups[key] = { name: key, spend: 0, receipts: new Set(), depts: {} };
+      const g = groups[key];
+      g.spend += r.line_total;
+      if (r.quantity > 0) {
+        g.receipts.add(receiptKey(r));
+        const label = getRowCategory(r, taxonomy);
+        g.depts[label] = (g.depts[label] || 0) + r.line_total;
+      }
+    });
+
+    return Object.values(groups).map(g => {
+      const purchaseTotal = Object.values(g.depts).reduce((s, v) => s + v, 0);
+      const departments = Object.entries(g.depts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, amount]) => ({
+          label,
+          amount: round2(amount),
+          share: purchaseTotal > 0 ? round2(amount / purchaseTotal * 100) : 0
+        }));
+      return {
+        name: g.name,
+        spend: round2(g.spend),
+        trips: g.receipts.size,
+        avgBasket: g.receipts.size > 0 ? round2(g.spend / g.receipts.size) : 0,
+        departments
+      };
+    }).sort((a, b) => b.spend - a.spend);
+  }
+
+  /* ---- Fuel ---- */
+
+  /**
+   * Gas station fill-ups: gallons (the line quantity), price per gallon,
+   * monthly fuel spend, and prices by warehouse.
+   */
+  function computeFuel(rows) {
+    const fillUps = rows
+      .filter(r => r.quantity > 0 && isFuelLine(r))
+      .map(r => {
+        const gallons = Math.abs(r.quantity);
+        return {
+          date: r.transaction_date,
+          warehouse: getLocation(r),
+          grade: r.item_actual_name,
+          gallons,
+          pricePerGallon: r.unit_price > 0 ? r.unit_price : (gallons > 0 ? round2(r.line_total / gallons) : 0),
+          total: r.line_total
+        };
+      })
+      .sort((a, b) => (a.date || 0) - (b.date || 0));
+
+    const monthMap = {};
+    const warehouseMap = {};
+    fillUps.forEach(f => {
+      const mk = monthKey(f.date);
+      if (mk) {
+        if (!monthMap[mk]) monthMap[mk] = { spend: 0, gallons: 0 };
+        monthMap[mk].spend += f.total;
+        monthMap[mk].gallons += f.gallons;
+      }
+
+      if (!warehouseMap[f.warehouse]) {
+        warehouseMap[f.warehouse] = { name: f.warehouse, fillUps: 0, gallons: 0, spend: 0, prices: [] };
+      }
+      const w = warehouseMap[f.warehouse];
+      w.fillUps++;
+      w.gallons += f.gallons;
+      w.spend += f.total;
+      w.prices.push(f.pricePerGallon);
+    });
+
+    const months = Object.keys(monthMap).sort();
+    const totalGallons = fillUps.reduce((s, f) => s + f.gallons, 0);
+    const totalSpend = fillUps.reduce((s, f) => s + f.total, 0);
+
+    return {
+      fillUps,
+      monthly: {
+        labels: months,
+        spend: months.map(k => round2(monthMap[k].spend)),
+        gallons: months.map(k => round2(monthMap[k].gallons))
+      },
+      warehouses: Object.values(warehouseMap).map(w => ({
+        name: w.name,
+        fillUps: w.fillUps,
+        gallons: round2(w.gallons),
+        spend: round2(w.spend),
+        avgPrice: w.gallons > 0 ? round2(w.spend / w.gallons) : 0,
+        minPrice: Math.min(...w.prices),
+        maxPrice: Math.max(...w.prices)
+      })).sort((a, b) => a.avgPrice - b.avgPrice),
+      totalGallons: round2(totalGallons),
+      totalSpend: round2(totalSpend),
+      avgPrice: totalGallons > 0 ? round2(totalSpend / totalGallons) : 0,
+      avgGallons: fillUps.length > 0 ? round2(totalGallons / fillUps.length) : 0
+    };
+  }
+
+  /* ---- Receipts ---- */
+
+  const SAVINGS_FIELDS = ['instant_savings', 'discount_amount', 'coupon_applied', 'shop_card_applied'];
+  const FEE_FIELDS = ['shipping_handling', 'delivery_fees', 'surcharges'];
+
+  /**
+   * Rebuild individual trips from their lines, newest first, and check that
+   * each one adds up: line totals - savings + tax + fees = final_total.
+   */
+  function computeReceipts(rows) {
+    const map = {};
+    rows.forEach(r => {
+      const key = receiptKey(r);
+      if (!map[key]) map[key] = [];
+      map[key].push(r);
+    });
+
+    return Object.entries(map).map(([id, lines]) => {
+      const first = lines[0];
+      const lineTotal = sum(lines, 'line_total');
+      const savings = SAVINGS_FIELDS.reduce((s, f) => s + Math.abs(receiptField(lines, f)), 0);
+      const fees = FEE_FIELDS.reduce((s, f) => s + receiptField(lines, f), 0);
+      const tax = first.tax_total || 0;
+      const finalTotal = first.final_total || 0;
+      const expected = round2(lineTotal - savings + tax + fees);
+
+      return {
+        id,
+        receiptId: first.receipt_id,
+        date: first.transaction_date,
+        warehouse: first.warehouse_info || '',
+        type: first.receipt_type || '',
+        paymentMethods: first.payment_methods || '',
+        lines,
+        lineCount: lines.length,
+        itemCount: lines.reduce((s, r) => s + (r.quantity > 0 ? r.quantity : 0), 0),
+        lineTotal: round2(lineTotal),
+        subtotal: first.subtotal || 0,
+        taxTotal: tax,
+        savings: round2(savings),
+        fees: round2(fees),
+        finalTotal,
+        expectedTotal: expected,
+        difference: finalTotal ? round2(finalTotal - expected) : null,
+        reconciles: finalTotal ? Math.abs(finalTotal - expected) < 0.02 : null
+      };
+    }).sort((a, b) => (b.date || 0) - (a.date || 0));
+  }
+
+  /**
+   * Whole receipts for the lines in `rows`, rebuilt from every line so their
+   * totals, tax, and reconcile check aren't cut short by line filters. Each
+   * carries the `share` of the receipt those lines make up, by net amount
+   * after their part of the savings, for pro-rating receipt-level figures.
+   * @param {Array<Object>} rows - the filtered lines
+   * @param {Array<Object>} allRows - unfiltered lines
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings
+   */
+  function scopeReceipts(rows, allRows, lineSavings) {
+    const included = new Set(rows);
+    const keys = new Set(rows.map(receiptKey));
+    const net = r => r.line_total - allocatedSavings(r, lineSavings);
+
+    return computeReceipts(allRows.filter(r => keys.has(receiptKey(r)))).map(receipt => {
+      const lines = receipt.lines.filter(r => included.has(r));
+      const whole = receipt.lines.reduce((s, r) => s + net(r), 0);
+      const part = lines.reduce((s, r) => s + net(r), 0);
+      let share = 1;
+      if (lines.length < receipt.lines.length) {
+        share = Math.abs(whole) < 0.005 ? 0 : part / whole;
+      }
+      return { ...receipt, includedLines: lines, share };
+    });
+  }
+
+  /**
+   * Receipt-level amounts are usually repeated on every line of the receipt;
+   * when all lines agree, count the value once, otherwise treat it as per-line.
+   */
+  function receiptField(lines, field) {
+    const values = lines.map(r => r[field] || 0);
+    return values.every(v => v === values[0]) ? values[0] : values.reduce((s, v) => s + v, 0);
+  }
+
+  /**
+   * Each line's part of its receipt's instant savings.
+   *
+   * Pasted receipts carry each item's own discount in line_savings, and lines
+   * whose instant_savings differ are per-line values (see receiptField). When
+   * the receipt total is repeated on every line it is shared over the purchase
+   * lines by amount, like tax; those shares aren't the item's `own` discount.
+   * @param {Array<Object>} rows - whole receipts, before any filtering
+   * @returns {Map<Object, {amount: number, own: boolean}>} keyed by row
+   */
+  function allocateLineSavings(rows) {
+    const byReceipt = {};
+    rows.forEach(r => {
+      const key = receiptKey(r);
+      if (!byReceipt[key]) byReceipt[key] = [];
+      byReceipt[key].push(r);
+    });
+
+    const shares = new Map();
+    Object.values(byReceipt).forEach(lines => {
+      if (lines.some(r => r.line_savings != null)) {
+        lines.forEach(r => shares.set(r, { amount: Math.abs(r.line_savings || 0), own: true }));
+        return;
+      }
+
+      const values = lines.map(r => Math.abs(r.instant_savings || 0));
+      if (lines.length === 1 || !values.every(v => v === values[0])) {
+        lines.forEach((r, i) => shares.set(r, { amount: values[i], own: true }));
+        return;
+      }
+
+      const base = lines.reduce((s, r) => s + Math.max(0, r.line_total), 0);
+      lines.forEach(r => shares.set(r, {
+        amount: base > 0 ? values[0] * Math.max(0, r.line_total) / base : 0,
+        own: false
+      }));
+    });
+    return shares;
+  }
+
+  function allocatedSavings(r, lineSavings) {
+    const share = lineSavings.get(r);
+    return share ? share.amount : 0;
+  }
+
+  function ownSavings(r, lineSavings) {
+    const share = lineSavings.get(r);
+    return share && share.own ? share.amount : 0;
+  }
+
+  /* ---- Data Quality ---- */
+
+  /**
+   * Problems in imported rows, each with the offending lines so they can be
+   * reviewed and excluded. Duplicate lines were already dropped on merge and
+   * are listed for reference only.
+   * @param {Array<Object>} rows - merged rows, before exclusions
+   * @param {Array<Object>} [duplicateRows] - lines skipped by CostcoParser.mergeSources
+   * @param {Object} [taxonomy] - see compileTaxonomy; renamed department IDs aren't unknown
+   * @returns {Array<{key: string, label: string, description: string, rows: Array<Object>, excludable: boolean}>}
+   */
+  function computeDataQuality(rows, duplicateRows, taxonomy) {
+    const renamed = (taxonomy || EMPTY_TAXONOMY).departments || {};
+    const issues = [];
+    const add = (key, label, description, issueRows, excludable) => {
+      issues.push({ key, label, description, rows: issueRows, excludable: excludable !== false });
+    };
+
+    add('no-date', 'Missing or unreadable dates',
+      'Left out of every chart and table that groups by date.',
+      rows.filter(r => !(r.transaction_date instanceof Date)));
+
+    add('coerced', 'Non-numeric values read as $0',
+      'Quantities, prices, or totals that could not be read as numbers.',
+      rows.filter(r => r.coerced_values && Object.keys(r.coerced_values).some(f => f !== 'transaction_date')));
+
+    add('no-sku', 'Missing item numbers',
+      'Lines without an item number are grouped by name instead.',
+      rows.filter(r => !r.item_sku && !isFuelLine(r)));
+
+    add('duplicate', 'Duplicate lines skipped',
+      'Lines already imported from another file. They are not counted.',
+      duplicateRows || [], false);
+
+    const unreconciled = [];
+    computeReceipts(rows).forEach(receipt => {
+      if (!receipt.subtotal) return;
+      const matchesGross = Math.abs(receipt.lineTotal - receipt.subtotal) < 0.02;
+      const matchesNet = Math.abs(receipt.lineTotal - receipt.savings - receipt.subtotal) < 0.02;
+      if (!matchesGross && !matchesNet) unreconciled.push(...receipt.lines);
+    });
+    add('unreconciled', 'Receipts that don\'t add up to their subtotal',
+      'Line totals (with or without instant savings) differ from the printed subtotal, which usually means missing lines.',
+      unreconciled);
+
+    add('unknown-dept', 'Unknown department IDs',
+      'Shown as "Dept N" in department breakdowns and budgets.',
+      rows.filter(r => r.department_id && !DEPARTMENT_LABELS[r.department_id] && !renamed[r.department_id]));
+
+    return issues;
+  }
+
+  /* ---- Tags & Notes ---- */
+
+  const EMPTY_ANNOTATIONS = { items: {}, lines: {} };
+
+  /**
+   * Tags on a line: its item's tags plus the line's own.
+   * @param {Object} r
+   * @param {Object} [annotations] - {items: {itemKey: {tags, note}}, lines: {line_key: {tags, note}}};
+   *   items are keyed by SKU (or name) and lines by line_key, so both survive re-importing a receipt
+   */
+  function getRowTags(r, annotations) {
+    const notes = annotations || EMPTY_ANNOTATIONS;
+    const item = notes.items[itemKey(r)];
+    const line = notes.lines[r.line_key];
+    const tags = (item && item.tags ? item.tags : []).concat(line && line.tags ? line.tags : []);
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Every tag in use, sorted.
+   */
+  function getTagOptions(annotations) {
+    const notes = annotations || EMPTY_ANNOTATIONS;
+    const tags = new Set();
+    [notes.items, notes.lines].forEach(group => {
+      Object.values(group).forEach(a => (a.tags || []).forEach(t => tags.add(t)));
+    });
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Keep rows carrying a tag, or every row for 'all'. Tagged lines are usually
+   * part of a receipt, so pass the unfiltered rows to computeAll as allRows.
+   */
+  function filterByTag(rows, tag, annotations) {
+    if (!tag || tag === 'all') return rows;
+    return rows.filter(r => getRowTags(r, annotations).includes(tag));
+  }
+
+  /**
+   * Spend per tag (net of returns; a line with several tags counts toward
+   * each) and every annotated item or line in the data, with its tags and note.
+   */
+  function computeTags(rows, annotations) {
+    const notes = annotations || EMPTY_ANNOTATIONS;
+    const tagMap = {};
+    const annotated = {};
+    let untaggedSpend = 0;
+
+    rows.forEach(r => {
+      const tags = getRowTags(r, notes);
+      if (tags.length === 0) untaggedSpend += r.line_total;
+      tags.forEach(tag => {
+        if (!tagMap[tag]) tagMap[tag] = { tag, lines: 0, items: new Set(), spend: 0 };
+        tagMap[tag].lines++;
+        tagMap[tag].items.add(itemKey(r));
+        tagMap[tag].spend += r.line_total;
+      });
+
+      const key = itemKey(r);
+      const item = notes.items[key];
+      if (item && !annotated['item:' + key]) {
+        annotated['item:' + key] = {
+          kind: 'item', key, itemKey: key, sku: r.item_sku, name: r.item_actual_name,
+          date: null, receiptId: '', tags: item.tags || [], note: item.note || ''
+        };
+      }
+      const line = notes.lines[r.line_key];
+      if (line) {
+        annotated['line:' + r.line_key] = {
+          kind: 'line', key: r.line_key, itemKey: key, sku: r.item_sku, name: r.item_actual_name,
+          date: r.transaction_date, receiptId: r.receipt_id, tags: line.tags || [], note: line.note || ''
+        };
+      }
+    });
+
+    const tags = Object.values(tagMap)
+      .map(t => ({ tag: t.tag, lines: t.lines, items: t.items.size, spend: round2(t.spend) }))
+      .sort((a, b) => b.spend - a.spend);
+
+    return {
+      tags,
+      untaggedSpend: round2(untaggedSpend),
+      annotated: Object.values(annotated)
+        .sort((a, b) => a.kind.localeCompare(b.kind) || ((b.date || 0) - (a.date || 0)) || a.name.localeCompare(b.name))
+    };
+  }
+
+  /* ---- Household ---- */
+
+  /**
+   * How a line is split between household members, as {member: fraction}:
+   * the item's split if it has one, else its category's, else even.
+   * Splits are weights per member; blank or zero weights leave a member out.
+   */
+  function getLineSplit(r, household, taxonomy) {
+    const members = household.members;
+    const normalize = (weights) => {
+      if (!weights) return null;
+      const shares = {};
+      let total = 0;
+      members.forEach(m => {
+        const w = parseFloat(weights[m]);
+        if (w > 0) {
+          shares[m] = w;
+          total += w;
+        }
+      });
+      if (total === 0) return null;
+      Object.keys(shares).forEach(m => { shares[m] /= total; });
+      return shares;
+    };
+
+    const even = {};
+    members.forEach(m => { even[m] = 1 / members.length; });
+    return normalize((household.items || {})[itemKey(r)]) ||
+      normalize((household.categories || {})[getRowCategory(r, taxonomy)]) ||
+      even;
+  }
+
+  /**
+   * Per-person spend and who owes whom. Each receipt's total (after savings,
+   * with tax and fees) is spread over all of its lines in proportion to their
+   * net amount, and the lines in `rows` are split between members; what each
+   * member paid for those lines comes from the payment method on the receipt.
+   * @param {Array<Object>} rows - the filtered lines to count
+   * @param {Object} [household]
+   * @param {Array<string>} household.members
+   * @param {Object} [household.items] - itemKey -> {member: weight}
+   * @param {Object} [household.categories] - category label -> {member: weight}
+   * @param {Object} [household.payers] - payment method -> member
+   * @param {string} [household.defaultPayer] - pays for receipts with other methods; defaults to the first member
+   * @param {Array<Object>} allRows - unfiltered lines, to rebuild whole receipts
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   */
+  function computeHousehold(rows, household, allRows, lineSavings, taxonomy) {
+    const members = household && household.members ? household.members : [];
+    if (members.length === 0) {
+      return { hasMembers: false, members: [], monthly: { labels: [], members: [] }, categories: [], transfers: [], total: 0 };
+    }
+
+    const payers = household.payers || {};
+    const defaultPayer = members.includes(household.defaultPayer) ? household.defaultPayer : members[0];
+    const totals = {};
+    members.forEach(m => { totals[m] = { name: m, share: 0, paid: 0 }; });
+    const monthMap = {};
+    const categoryMap = {};
+    let total = 0;
+
+    const included = new Set(rows);
+    const keys = new Set(rows.map(receiptKey));
+    computeReceipts(allRows.filter(r => keys.has(receiptKey(r)))).forEach(receipt => {
+      const amount = receipt.finalTotal || receipt.expectedTotal;
+      const net = receipt.lines.map(r => r.line_total - allocatedSavings(r, lineSavings));
+      const netTotal = net.reduce((s, v) => s + v, 0);
+      if (!amount || Math.abs(netTotal) < 0.005) return;
+
+      const costs = receipt.lines.map((r, i) => included.has(r) ? amount * net[i] / netTotal : null);
+      const spent = costs.reduce((s, v) => s + (v || 0), 0);
+      total += spent;
+
+      const methods = getPaymentMethods(receipt.lines[0]);
+      methods.forEach(method => {
+        const payer = members.includes(payers[method]) ? payers[method] : defaultPayer;
+        totals[payer].paid += spent / methods.length;
+      });
+
+      const mk = monthKey(receipt.date);
+      receipt.lines.forEach((r, i) => {
+        const cost = costs[i];
+        if (cost === null) return;
+        const split = getLineSplit(r, household, taxonomy);
+        const category = getRowCategory(r, taxonomy);
+        if (!categoryMap[category]) categoryMap[category] = { label: category, spend: 0, members: {} };
+        categoryMap[category].spend += cost;
+
+        Object.entries(split).forEach(([m, fraction]) => {
+          totals[m].share += cost * fraction;
+          categoryMap[category].members[m] = (categoryMap[category].members[m] || 0) + cost * fraction;
+          if (mk) {
+            if (!monthMap[mk]) monthMap[mk] = {};
+            monthMap[mk][m] = (monthMap[mk][m] || 0) + cost * fraction;
+          }
+        });
+      });
+    });
+
+    const balances = members.map(m => ({
+      name: m,
+      share: round2(totals[m].share),
+      paid: round2(totals[m].paid),
+      balance: round2(totals[m].paid - totals[m].share)
+    }));
+
+    const months = Object.keys(monthMap).sort();
+    return {
+      hasMembers: true,
+      members: balances,
+      monthly: {
+        labels: months,
+        members: members.map(m => ({ name: m, data: months.map(k => round2(monthMap[k][m] || 0)) }))
+      },
+      categories: Object.values(categoryMap)
+        .map(c => ({
+          label: c.label,
+          spend: round2(c.spend),
+          members: members.map(m => round2(c.members[m] || 0))
+        }))
+        .sort((a, b) => b.spend - a.spend),
+      transfers: settleBalances(balances),
+      total: round2(total)
+    };
+  }
+
+  /**
+   * Payments that clear every balance: repeatedly have the member who owes
+   * most pay the member who is owed most.
+   */
+  function settleBalances(balances) {
+    const debtors = balances.filter(b => b.balance < -0.005).map(b => ({ name: b.name, amount: -b.balance }));
+    const creditors = balances.filter(b => b.balance > 0.005).map(b => ({ name: b.name, amount: b.balance }));
+    const transfers = [];
+
+    debtors.sort((a, b) => b.amount - a.amount);
+    creditors.sort((a, b) => b.amount - a.amount);
+    let d = 0;
+    let c = 0;
+    while (d < debtors.length && c < creditors.length) {
+      const amount = Math.min(debtors[d].amount, creditors[c].amount);
+      if (amount >= 0.005) transfers.push({ from: debtors[d].name, to: creditors[c].name, amount: round2(amount) });
+      debtors[d].amount -= amount;
+      creditors[c].amount -= amount;
+      if (debtors[d].amount < 0.005) d++;
+      if (creditors[c].amount < 0.005) c++;
+    }
+    return transfers;
+  }
+
+  /* ---- Business Expenses ---- */
+
+  const EMPTY_BUSINESS = { receipts: {}, lines: {} };
+
+  /**
+   * Whether a line was marked as business, on its own or as part of a whole receipt.
+   * @param {Object} r
+   * @param {Object} [business] - {receipts: {receiptKey: true}, lines: {line_key: true}}
+   */
+  function isBusinessLine(r, business) {
+    const marks = business || EMPTY_BUSINESS;
+    return !!(marks.lines[r.line_key] || marks.receipts[receiptKey(r)]);
+  }
+
+  /**
+   * Leave out lines marked as business, for personal dashboards.
+   */
+  function excludeBusiness(rows, business) {
+    return rows.filter(r => !isBusinessLine(r, business));
+  }
+
+  /**
+   * Reimbursement report for business lines, per receipt and per month. Items
+   * are at the price paid after their share of instant savings; the receipt's
+   * tax_total is allocated by the business share of its taxable lines, and
+   * shipping, delivery, and surcharges by the business share of all lines.
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings
+   */
+  function computeBusiness(rows, business, lineSavings) {
+    const marks = business || EMPTY_BUSINESS;
+    const netAmount = r => r.line_total - allocatedSavings(r, lineSavings);
+    const taxableAmount = lines => lines.filter(r => isTaxable(r) !== false).reduce((s, r) => s + netAmount(r), 0);
+    const monthMap = {};
+
+    const receipts = computeReceipts(rows)
+      .filter(receipt => receipt.lines.some(r => isBusinessLine(r, marks)))
+      .map(receipt => {
+        const lines = receipt.lines.filter(r => isBusinessLine(r, marks));
+        const allTaxable = taxableAmount(receipt.lines);
+        const allNet = receipt.lines.reduce((s, r) => s + netAmount(r), 0);
+        const subtotal = lines.reduce((s, r) => s + netAmount(r), 0);
+        const tax = allTaxable ? receipt.taxTotal * taxableAmount(lines) / allTaxable : 0;
+        const fees = allNet ? receipt.fees * subtotal / allNet : 0;
+        const total = subtotal + tax + fees;
+
+        const mk = monthKey(receipt.date) || 'undated';
+        if (!monthMap[mk]) monthMap[mk] = { key: mk, receiptCount: 0, subtotal: 0, tax: 0, fees: 0, total: 0 };
+        const month = monthMap[mk];
+        month.receiptCount++;
+        month.subtotal += subtotal;
+        month.tax += tax;
+        month.fees += fees;
+        month.total += total;
+
+        return {
+          id: receipt.id,
+          receiptId: receipt.receiptId || receipt.id,
+          date: receipt.date,
+          month: mk,
+          warehouse: receipt.warehouse,
+          wholeReceipt: !!marks.receipts[receipt.id],
+          items: lines.map(r => ({
+            sku: r.item_sku,
+            name: r.item_actual_name,
+            quantity: r.quantity,
+            amount: round2(netAmount(r))
+          })),
+          subtotal: round2(subtotal),
+          tax: round2(tax),
+          fees: round2(fees),
+          total: round2(total)
+        };
+      });
+
+    const months = Object.values(monthMap)
+      .map(m => ({
+        key: m.key,
+        label: m.key === 'undated' ? 'Undated' : formatMonthKey(m.key),
+        receiptCount: m.receiptCount,
+        subtotal: round2(m.subtotal),
+        tax: round2(m.tax),
+        fees: round2(m.fees),
+        total: round2(m.total)
+      }))
+      .sort((a, b) => b.key.localeCompare(a.key));
+
+    return {
+      receipts,
+      months,
+      total: round2(receipts.reduce((s, r) => s + r.total, 0))
+    };
+  }
+
+  /* ---- Fees & Taxes ---- */
+
+  /**
+   * Whether a line was taxed, from its tax_flag: true, false, or null when
+   * the export leaves it blank. Any non-empty flag other than a "no" counts
+   * as taxable, since receipts print state-specific tax codes.
+   */
+  function isTaxable(r) {
+    const flag = String(r.tax_flag == null ? '' : r.tax_flag).trim();
+    if (!flag) return null;
+    return !/^(n|no|f|false|0)$/i.test(flag);
+  }
+
+  /**
+   * Tax and non-merchandise charges: effective tax rate per receipt, taxable
+   * vs non-taxable spend per department, monthly shipping/delivery/surcharges,
+   * surcharges grouped by reason, and the share of spend they make up.
+   * Receipt amounts count by the share of each receipt left after filters;
+   * rates come from the whole receipt.
+   * @param {Array<Object>} rows
+   * @param {Array<Object>} receipts - from scopeReceipts
+   * @param {Object} [taxonomy] - see compileTaxonomy
+   */
+  function computeFeesAndTaxes(rows, receipts, taxonomy) {
+    const deptMap = {};
+    rows.forEach(r => {
+      const label = getRowCategory(r, taxonomy);
+      if (!deptMap[label]) deptMap[label] = { label, taxable: 0, nonTaxable: 0, unknown: 0 };
+      const taxable = isTaxable(r);
+      const bucket = taxable === null ? 'unknown' : (taxable ? 'taxable' : 'nonTaxable');
+      deptMap[label][bucket] += r.line_total;
+    });
+
+    const monthMap = {};
+    const reasonMap = {};
+    const totals = { merchandise: 0, tax: 0, shipping: 0, delivery: 0, surcharges: 0 };
+
+    const receiptTotals = receipts.map(receipt => {
+      const lines = receipt.lines;
+      const share = receipt.share;
+      const wholeMerchandise = receipt.lineTotal - receipt.savings;
+      const wholeTaxable = lines.filter(r => isTaxable(r)).reduce((s, r) => s + r.line_total, 0);
+      const merchandise = wholeMerchandise * share;
+      const taxableSpend = wholeTaxable * share;
+      const tax = receipt.taxTotal * share;
+      const shipping = receiptField(lines, 'shipping_handling') * share;
+      const delivery = receiptField(lines, 'delivery_fees') * share;
+      const surcharges = receiptField(lines, 'surcharges') * share;
+
+      totals.merchandise += merchandise;
+      totals.tax += tax;
+      totals.shipping += shipping;
+      totals.delivery += delivery;
+      totals.surcharges += surcharges;
+
+      const mk = monthKey(receipt.date);
+      if (mk) {
+        if (!monthMap[mk]) monthMap[mk] = { shipping: 0, delivery: 0, surcharges: 0, tax: 0 };
+        monthMap[mk].shipping += shipping;
+        monthMap[mk].delivery += delivery;
+        monthMap[mk].surcharges += surcharges;
+        monthMap[mk].tax += tax;
+      }
+
+      if (surcharges !== 0) {
+        const withReason = lines.find(r => r.surcharge_reason);
+        const reason = (withReason ? String(withReason.surcharge_reason).trim() : '') || 'Unspecified';
+        if (!reasonMap[reason]) reasonMap[reason] = { reason, count: 0, amount: 0 };
+        reasonMap[reason].count++;
+        reasonMap[reason].amount += surcharges;
+      }
+
+      return {
+        id: receipt.id,
+        receiptId: receipt.receiptId,
+        date: receipt.date,
+        warehouse: receipt.warehouse,
+        merchandise: round2(merchandise),
+        taxableSpend: round2(taxableSpend),
+        tax: round2(tax),
+        fees: round2(receipt.fees * share),
+        effectiveRate: wholeMerchandise > 0 ? round2(receipt.taxTotal / wholeMerchandise * 100) : 0,
+        taxableRate: wholeTaxable > 0 ? round2(receipt.taxTotal / wholeTaxable * 100) : null
+      };
+    });
+
+    const months = Object.keys(monthMap).sort();
+    const fees = totals.shipping + totals.delivery + totals.surcharges;
+    const nonMerchandise = totals.tax + fees;
+    const grandTotal = totals.merchandise + nonMerchandise;
+
+    return {
+      receipts: receiptTotals,
+      departments: Object.values(deptMap).map(d => ({
+        label: d.label,
+        taxable: round2(d.taxable),
+        nonTaxable: round2(d.nonTaxable),
+        unknown: round2(d.unknown),
+        taxableShare: d.taxable + d.nonTaxable > 0 ? round2(d.taxable / (d.taxable + d.nonTaxable) * 100) : null
+      })).sort((a, b) => (b.taxable + b.nonTaxable + b.unknown) - (a.taxable + a.nonTaxable + a.unknown)),
+      monthly: {
+        labels: months,
+        shipping: months.map(k => round2(monthMap[k].shipping)),
+        delivery: months.map(k => round2(monthMap[k].delivery)),
+        surcharges: months.map(k => round2(monthMap[k].surcharges)),
+        tax: months.map(k => round2(monthMap[k].tax))
+      },
+      reasons: Object.values(reasonMap).map(r => ({ ...r, amount: round2(r.amount) }))
+        .sort((a, b) => b.amount - a.amount),
+      totals: {
+        merchandise: round2(totals.merchandise),
+        tax: round2(totals.tax),
+        shipping: round2(totals.shipping),
+        delivery: round2(totals.delivery),
+        surcharges: round2(totals.surcharges),
+        fees: round2(fees)
+      },
+      effectiveTaxRate: totals.merchandise > 0 ? round2(totals.tax / totals.merchandise * 100) : 0,
+      nonMerchandiseShare: grandTotal > 0 ? round2(nonMerchandise / grandTotal * 100) : 0
+    };
+  }
+
+  /* ---- FSA / HSA ---- */
+
+  /**
+   * Whether a line is FSA/HSA eligible, from the export's isFSAEligible
+   * column (normalized to isfsaeligible on import).
+   */
+  function isFSAEligible(r) {
+    const flag = r.isfsaeligible;
+    if (flag === true) return true;
+    return /^(y|yes|t|true|1)$/i.test(String(flag == null ? '' : flag).trim());
+  }
+
+  /**
+   * Every FSA/HSA-eligible line as a claim list, with returns included as
+   * negative lines so totals are net, grouped into plan years. Amounts are
+   * what was paid: line total less the line's share of instant savings, before tax.
+   * @param {Array<Object>} rows
+   * @param {number} [planStartMonth] - 1-12, default January
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings
+   */
+  function computeFSA(rows, planStartMonth, lineSavings) {
+    const startMonth = Math.min(12, Math.max(1, parseInt(planStartMonth) || 1));
+    const planYearOf = (date) => {
+      if (!(date instanceof Date)) return null;
+      return date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+    };
+
+    const lines = rows.filter(isFSAEligible).map(r => {
+      const savings = r.quantity > 0 ? allocatedSavings(r, lineSavings) : 0;
+      return {
+        date: r.transaction_date,
+        planYear: planYearOf(r.transaction_date),
+        receiptId: r.receipt_id || r.order_number || '',
+        warehouse: getLocation(r),
+        sku: r.item_sku,
+        item: r.item_actual_name,
+        quantity: r.quantity,
+        amount: round2(r.line_total - savings),
+        isReturn: r.quantity < 0
+      };
+    }).sort((a, b) => (a.date || 0) - (b.date || 0));
+
+    const yearMap = {};
+    lines.forEach(l => {
+      const key = l.planYear === null ? 'undated' : l.planYear;
+      if (!yearMap[key]) yearMap[key] = { planYear: l.planYear, purchases: 0, returns: 0, lineCount: 0 };
+      const y = yearMap[key];
+      y.lineCount++;
+      if (l.isReturn) y.returns += Math.abs(l.amount);
+      else y.purchases += l.amount;
+    });
+
+    const years = Object.values(yearMap).map(y => ({
+      planYear: y.planYear,
+      label: formatPlanYear(y.planYear, startMonth),
+      lineCount: y.lineCount,
+      purchases: round2(y.purchases),
+      returns: round2(y.returns),
+      net: round2(y.purchases - y.returns)
+    })).sort((a, b) => (b.planYear || 0) - (a.planYear || 0));
+
+    return {
+      planStartMonth: startMonth,
+      lines,
+      years,
+      total: round2(lines.reduce((s, l) => s + l.amount, 0))
+    };
+  }
+
+  function formatPlanYear(year, startMonth) {
+    if (year === null) return 'Undated';
+    if (startMonth === 1) return String(year);
+    return formatYearSpan(new Date(year, startMonth - 1, 1), new Date(year + 1, startMonth - 1, 0));
+  }
+
+  /* ---- Payment Methods ---- */
+
+  const REWARD_CATEGORIES = ['warehouse', 'gas', 'online'];
+
+  const REWARD_CATEGORY_LABELS = {
+    warehouse: 'Warehouse',
+    gas: 'Gas',
+    online: 'Online'
+  };
+
+  /**
+   * Payment methods listed on a line, e.g. "VISA ****1234; Shop Card".
+   */
+  function getPaymentMethods(r) {
+    const methods = String(r.payment_methods || '')
+      .split(/\s*[;,|+]\s*/)
+      .map(m => m.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    return methods.length > 0 ? methods : ['Unknown'];
+  }
+
+  /**
+   * Rewards category of a trip, from its channel.
+   */
+  function getRewardCategory(r) {
+    const channel = getChannel(r);
+    if (channel === 'Gas Station') return 'gas';
+    if (channel === 'Online') return 'online';
+    return 'warehouse';
+  }
+
+  /**
+   * Spend per payment method, by month and by rewards category, with the
+   * cashback each card earned and what the best card per category would earn.
+   * A receipt paid with several methods is split evenly between them, since
+   * exports don't record the amount charged to each. When filters keep only
+   * part of a receipt, only that share of its total counts.
+   * @param {Array<Object>} receipts - from scopeReceipts
+   * @param {Object} [rewards] - {cards: {[method]: {warehouse, gas, online}}}, rates in percent
+   */
+  function computePayments(receipts, rewards) {
+    const cards = (rewards && rewards.cards) || {};
+    const methodMap = {};
+    const monthMap = {};
+    const categoryTotals = { warehouse: 0, gas: 0, online: 0 };
+
+    receipts.forEach(receipt => {
+      const amount = (receipt.finalTotal || receipt.expectedTotal) * receipt.share;
+      const category = getRewardCategory(receipt.lines[0]);
+      const methods = getPaymentMethods(receipt.lines[0]);
+      const share = amount / methods.length;
+      const mk = monthKey(receipt.date);
+      categoryTotals[category] += amount;
+
+      methods.forEach(name => {
+        if (!methodMap[name]) {
+          methodMap[name] = { name, spend: 0, trips: 0, byCategory: { warehouse: 0, gas: 0, online: 0 } };
+        }
+        const m = methodMap[name];
+        m.spend += share;
+        m.trips++;
+        m.byCategory[category] += share;
+
+        if (mk) {
+          if (!monthMap[mk]) monthMap[mk] = {};
+          monthMap[mk][name] = (monthMap[mk][name] || 0) + share;
+        }
+      });
+    });
+
+    const rateFor = (name, category) => {
+      const rate = cards[name] && parseFloat(cards[name][category]);
+      return rate > 0 ? rate : 0;
+    };
+
+    const methods = Object.values(methodMap).map(m => {
+      const earned = REWARD_CATEGORIES.reduce((s, c) => s + m.byCategory[c] * rateFor(m.name, c) / 100, 0);
+      return {
+        name: m.name,
+        spend: round2(m.spend),
+        trips: m.trips,
+        byCategory: {
+          warehouse: round2(m.byCategory.warehouse),
+          gas: round2(m.byCategory.gas),
+          online: round2(m.byCategory.online)
+        },
+        earned: round2(earned),
+        effectiveRate: m.spend > 0 ? round2(earned / m.spend * 100) : 0
+      };
+    }).sort((a, b) => b.spend - a.spend);
+
+    // Cards in the rewards model can be candidates even if they were never used here
+    const candidates = Array.from(new Set(methods.map(m => m.name).concat(Object.keys(cards))))
+      .filter(name => name !== 'Unknown');
+
+    const routes = REWARD_CATEGORIES.map(category => {
+      let best = null;
+      candidates.forEach(name => {
+        const rate = rateFor(name, category);
+        if (rate > 0 && (!best || rate > best.rate)) best = { card: name, rate };
+      });
+      const spend = categoryTotals[category];
+      return {
+        category,
+        label: REWARD_CATEGORY_LABELS[category],
+        spend: round2(spend),
+        card: best ? best.card : null,
+        rate: best ? best.rate : 0,
+        earned: round2(best ? spend * best.rate / 100 : 0)
+      };
+    });
+
+    const months = Object.keys(monthMap).sort();
+    const earned = methods.reduce((s, m) => s + m.earned, 0);
+    const optimalEarned = routes.reduce((s, r) => s + r.earned, 0);
+
+    return {
+      methods,
+      monthly: {
+        labels: months,
+        methods: methods.map(m => ({
+          name: m.name,
+          data: months.map(k => round2(monthMap[k][m.name] || 0))
+        }))
+      },
+      routes,
+      hasRewards: candidates.some(name => REWARD_CATEGORIES.some(c => rateFor(name, c) > 0)),
+      earned: round2(earned),
+      optimalEarned: round2(optimalEarned),
+      gain: round2(Math.max(0, optimalEarned - earned))
+    };
+  }
+
+  /* ---- Executive Membership ---- */
+
+  // Executive members earn 2% back on eligible purchases, up to an annual cap
+  const EXECUTIVE_REWARD_RATE = 0.02;
+  const EXECUTIVE_REWARD_CAP = 1250;
+  const GOLD_STAR_FEE = 65;
+  const EXECUTIVE_FEE = 130;
+  // Days into the current membership year before its run-rate is projected
+  const MEMBERSHIP_MIN_DAYS = 30;
+
+  /**
+   * Whether the Executive 2% reward pays for its extra fee, per membership year.
+   * Eligible spend is net purchases (after returns and savings) excluding fuel;
+   * tax and fees are never part of line totals. The year containing today is
+   * projected to a full year from its run-rate so far, once at least
+   * MEMBERSHIP_MIN_DAYS of it have passed.
+   * @param {Array<Object>} rows
+   * @param {Object} [membership]
+   * @param {number} [membership.renewalMonth] - 1-12, month the membership year starts (default January)
+   * @param {string} [membership.tier] - 'gold' or 'executive', the current tier if known
+   * @param {number} [membership.goldFee]
+   * @param {number} [membership.executiveFee]
+   * @param {Date} [today]
+   */
+  function computeMembership(rows, membership, today) {
+    const opts = membership || {};
+    const now = startOfDay(today || new Date());
+    const renewalMonth = Math.min(12, Math.max(1, parseInt(opts.renewalMonth) || 1));
+    const goldFee = opts.goldFee > 0 ? opts.goldFee : GOLD_STAR_FEE;
+    const executiveFee = opts.executiveFee > 0 ? opts.executiveFee : EXECUTIVE_FEE;
+    const feeDifference = executiveFee - goldFee;
+    const breakEven = round2(feeDifference / EXECUTIVE_REWARD_RATE);
+
+    const yearStart = (date) => {
+      const y = date.getMonth() + 1 >= renewalMonth ? date.getFullYear() : date.getFullYear() - 1;
+      return new Date(y, renewalMonth - 1, 1);
+    };
+
+    const map = {};
+    rows.forEach(r => {
+      if (!(r.transaction_date instanceof Date) || isFuelLine(r)) return;
+      const start = yearStart(r.transaction_date);
+      const key = start.getTime();
+      if (!map[key]) map[key] = { start, rows: [] };
+      map[key].rows.push(r);
+    });
+
+    const reward = (spend) => Math.min(EXECUTIVE_REWARD_CAP, Math.max(0, spend) * EXECUTIVE_REWARD_RATE);
+
+    const years = Object.values(map).sort((a, b) => a.start - b.start).map(y => {
+      const end = new Date(y.start.getFullYear() + 1, y.start.getMonth(), 0);
+      const summary = computeSummary(y.rows, y.rows.filter(r => r.quantity > 0), y.rows.filter(r => r.quantity < 0));
+      const eligibleSpend = summary.totalSpent - summary.totalSavings;
+      const isCurrent = now >= y.start && now <= end;
+
+      const totalDays = Math.round((end - y.start) / DAY_MS) + 1;
+      const elapsedDays = isCurrent ? Math.min(totalDays, Math.round((now - y.start) / DAY_MS) + 1) : totalDays;
+      const isProjected = isCurrent && elapsedDays >= MEMBERSHIP_MIN_DAYS;
+      const projectedSpend = isProjected ? eligibleSpend / elapsedDays * totalDays : eligibleSpend;
+
+      return {
+        label: formatYearSpan(y.start, end),
+        start: y.start,
+        end,
+        isCurrent,
+        isProjected,
+        elapsedDays,
+        totalDays,
+        eligibleSpend: round2(eligibleSpend),
+        reward: round2(reward(eligibleSpend)),
+        projectedSpend: round2(projectedSpend),
+        projectedReward: round2(reward(projectedSpend)),
+        net: round2(reward(projectedSpend) - feeDifference)
+      };
+    });
+
+    const current = years.find(y => y.isCurrent) || null;
+    let recommendation = null;
+    if (current && current.isProjected) {
+      const paysOff = current.projectedReward > feeDifference;
+      if (opts.tier === 'gold') recommendation = paysOff ? 'upgrade' : 'keep-gold';
+      else if (opts.tier === 'executive') recommendation = paysOff ? 'keep-executive' : 'downgrade';
+      else recommendation = paysOff ? 'executive' : 'gold';
+    }
+
+    return {
+      renewalMonth,
+      tier: opts.tier || null,
+      rate: EXECUTIVE_REWARD_RATE * 100,
+      cap: EXECUTIVE_REWARD_CAP,
+      goldFee,
+      executiveFee,
+      feeDifference,
+      breakEven,
+      years,
+      current,
+      recommendation
+    };
+  }
+
+  function formatYearSpan(start, end) {
+    const fmt = (d) => formatMonthKey(monthKey(d));
+    return `${fmt(start)} – ${fmt(end)}`;
+  }
+
+  /* ---- Price Adjustments ---- */
+
+  const PRICE_ADJUSTMENT_DAYS = 30;
+
+  /**
+   * Find purchases that could get a price adjustment: the same item was bought
+   * (or rung up anywhere) at a lower net price within 30 days of the purchase.
+   * Prices are compared net of each item's own instant savings; a receipt-wide
+   * total repeated on every line doesn't make a lower price.
+   * @param {Map<Object, Object>} lineSavings - from allocateLineSavings
+   * @returns {{open: Array<Object>, expired: Array<Object>, totalOwed: number,
+   *   closingSoon: number, totalMissed: number}}
+   */
+  function computePriceAdjustments(purchases, lineSavings, today) {
+    const now = startOfDay(today || new Date());
+    const byItem = {};
+    purchases.forEach(r => {
+      if (!(r.transaction_date instanceof Date) || !(r.unit_price > 0)) return;
+      const key = itemKey(r);
+      if (!byItem[key]) byItem[key] = [];
+      byItem[key].push(r);
+    });
+
+    const claims = [];
+    Object.values(byItem).forEach(lines => {
+      if (lines.length < 2) return;
+      lines.sort((a, b) => a.transaction_date - b.transaction_date);
+
+      lines.forEach((bought, i) => {
+        const boughtDay = startOfDay(bought.transaction_date).getTime();
+        const paid = netUnitPrice(bought, ownSavings(bought, lineSavings));
+        let best = null;
+
+        for (let j = i + 1; j < lines.length; j++) {
+          const later = lines[j];
+          const gap = Math.round((startOfDay(later.transaction_date).getTime() - boughtDay) / DAY_MS);
+          if (gap > PRICE_ADJUSTMENT_DAYS) break;
+          if (gap < 1) continue;
+          const price = netUnitPrice(later, ownSavings(later, lineSavings));
+          if (price < paid - 0.005 && (!best || price < best.price)) {
+            best = { price, row: later };
+          }
+        }
+        if (!best) return;
+
+        const daysSincePurchase = Math.floor((now.getTime() - boughtDay) / DAY_MS);
+        const quantity = Math.abs(bought.quantity);
+        claims.push({
+          key: itemKey(bought),
+          name: bought.item_actual_name,
+          receiptId: bought.receipt_id,
+          purchaseDate: bought.transaction_date,
+          quantity,
+          paidPrice: round2(paid),
+          lowerPrice: round2(best.price),
+          lowerDate: best.row.transaction_date,
+          lowerWarehouse: best.row.warehouse_info || '',
+          lowerHadSavings: ownSavings(best.row, lineSavings) > 0,
+          estimate: round2((paid - best.price) * quantity),
+          daysSincePurchase,
+          daysRemaining: PRICE_ADJUSTMENT_DAYS - daysSincePurchase
+        });
+      });
+    });
+
+    const open = claims.filter(c => c.daysRemaining > 0)
+      .sort((a, b) => a.daysRemaining - b.daysRemaining || b.estimate - a.estimate);
+    const expired = claims.filter(c => c.daysRemaining <= 0)
+      .sort((a, b) => b.purchaseDate - a.purchaseDate);
+
+    return {
+      open,
+      expired,
+      totalOwed: round2(open.reduce((s, c) => s + c.estimate, 0)),
+      closingSoon: open.filter(c => c.daysRemaining <= 7).length,
+      totalMissed: round2(expired.reduce((s, c) => s + c.estimate, 0))
+    };
+  }
+
+  /* ---- Insights ---- */
+
+  function generateInsights(rows, purchases, returns, context) {
+    const ctx = context || {};
+    const insights = [];
+
+    // 1. Price increases
+    const increases = (ctx.priceChanges || []).filter(c => c.change > 0);
+    if (increases.length > 0) {
+      const top = increases.slice(0, 3);
+      insights.push({
+        type: 'warning',
+        title: 'Rising Prices Detected',
+        text: `${increases.length} item(s) have increased in price. Top: ` +
+          top.map(i => `${i.name} (+$${i.change.toFixed(2)}, +${i.changePercent}%)`).join('; ') + '.'
+      });
+    }
+
+    // 2. Most expensive repeat purchases
+    const freq = computeFrequencyTable(purchases);
+    const expensiveRepeats = freq
+      .filter(f => f.count >= 2)
+      .sort((a, b) => b.totalSpent - a.totalSpent)
+      .slice(0, 3);
+
+    if (expensiveRepeats.length > 0) {
+      insights.push({
+        type: 'info',
+        title: 'Biggest Repeat Expenses',
+        text: 'Your most costly repeat purchases: ' +
+          expensiveRepeats.map(i =>
+            `${i.name} (${i.count}x, $${i.totalSpent.toFixed(2)} total)`
+          ).join('; ') + '. Consider bulk alternatives or sales timing.'
+      });
+    }
+
+    // 3. Weekly staples vs. one-time buys
+    const repeats = freq.filter(f => f.count >= 3);
+    const oneTimers = freq.filter(f => f.count === 1);
+    insights.push({
+      type: 'info',
+      title: 'Purchase Patterns',
+      text: `You have ${repeats.length} staple item(s) purchased 3+ times and ` +
+        `${oneTimers.length} one-time purchase(s). ` +
+        (repeats.length > 0
+          ? `Your top staples: ${repeats.slice(0, 5).map(r => r.name).join(', ')}.`
+          : '')
+    });
+
+    // 4. Return rate
+    const totalItems = purchases.reduce((s, r) => s + Math.abs(r.quantity), 0);
+    const returnedItems = returns.reduce((s, r) => s + Math.abs(r.quantity), 0);
+    const returnRate = totalItems > 0 ? (returnedItems / totalItems * 100) : 0;
+    if (returnRate > 5) {
+      insights.push({
+        type: 'warning',
+        title: 'High Return Rate',
+        text: `Your return rate is ${returnRate.toFixed(1)}%. Review returned items to identify patterns ` +
+          `and reduce unnecessary purchases.`
+      });
     } else {
       insights.push({
         type: 'success',
@@ -582,24 +2544,25 @@ const CostcoAnalytics = (() => {
     }
 
     // 5. Spending trend
-    const monthly = computeMonthly(rows);
+    const monthly = computeMonthly(ctx.excludeFuelFromTrend ? rows.filter(r => !isFuelLine(r)) : rows);
     if (monthly.labels.length >= 3) {
       const vals = monthly.purchases;
       const lastThree = vals.slice(-3);
       const isIncreasing = lastThree[2] > lastThree[1] && lastThree[1] > lastThree[0];
       const isDecreasing = lastThree[2] < lastThree[1] && lastThree[1] < lastThree[0];
+      const scope = ctx.excludeFuelFromTrend ? ' (excluding fuel)' : '';
       if (isIncreasing) {
         insights.push({
           type: 'warning',
           title: 'Spending Is Trending Up',
-          text: `Your spending has been increasing over the last 3 months ` +
+          text: `Your spending${scope} has been increasing over the last 3 months ` +
             `($${lastThree.map(v => v.toFixed(0)).join(' -> $')}). Review recent purchases for discretionary items.`
         });
       } else if (isDecreasing) {
         insights.push({
           type: 'success',
           title: 'Spending Is Trending Down',
-          text: `Great news! Your spending has decreased over the last 3 months ` +
+          text: `Great news! Your spending${scope} has decreased over the last 3 months ` +
             `($${lastThree.map(v => v.toFixed(0)).join(' -> $')}).`
         });
       }
@@ -621,6 +2584,91 @@ const CostcoAnalytics = (() => {
       });
     }
 
+    // 7. Price vs. volume behind the spending change
+    const split = ctx.inflation ? decomposeSpendingChange(ctx.inflation.month, 3) : null;
+    if (split && Math.abs(split.spending) >= 1) {
+      const dir = split.spending > 0 ? 'up' : 'down';
+      let driver;
+      if (Math.abs(split.price) > Math.abs(split.volume)) {
+        driver = split.price > 0 ? 'mostly because your staples cost more' : 'mostly because your staples got cheaper';
+      } else {
+        driver = split.volume > 0 ? 'mostly because you bought more' : 'mostly because you bought less';
+      }
+      insights.push({
+        type: split.price > 3 ? 'warning' : 'info',
+        title: 'Prices vs. Buying More',
+        text: `Spending over the last 3 months is ${dir} ${Math.abs(split.spending).toFixed(1)}% on the 3 before. ` +
+          `Prices on your staple basket moved ${split.price > 0 ? '+' : ''}${split.price.toFixed(1)}% and ` +
+          `volume ${split.volume > 0 ? '+' : ''}${split.volume.toFixed(1)}% — ${driver}.`
+      });
+    }
+
+    // 8. Price adjustments waiting to be claimed
+    const adjustments = ctx.priceAdjustments;
+    if (adjustments && adjustments.open.length > 0) {
+      insights.push({
+        type: 'success',
+        title: 'Price Adjustments Available',
+        text: `${adjustments.open.length} recent purchase(s) dropped in price afterwards. ` +
+          `Ask at the membership counter for about $${adjustments.totalOwed.toFixed(2)} back ` +
+          `(see the Price Adjustments tab for deadlines).`
+      });
+    }
+
+    // 9. Budget overspend in the current budget month
+    const current = ctx.budgets && ctx.budgets.current;
+    if (current) {
+      const monthName = formatMonthKey(current.month);
+      current.departments.filter(d => d.over).forEach(d => {
+        insights.push({
+          type: 'warning',
+          title: `Over Budget: ${d.label}`,
+          text: `You've spent $${d.spent.toFixed(2)} on ${d.label} in ${monthName}, ` +
+            `$${(d.spent - d.budget).toFixed(2)} over the $${d.budget.toFixed(2)} monthly budget.`
+        });
+      });
+
+      if (current.budget !== null && current.spent > current.budget) {
+        insights.push({
+          type: 'warning',
+          title: 'Monthly Cap Exceeded',
+          text: `Total spending in ${monthName} is $${current.spent.toFixed(2)}, ` +
+            `$${(current.spent - current.budget).toFixed(2)} over your $${current.budget.toFixed(2)} cap.`
+        });
+      } else if (current.budget !== null && current.isThisMonth && current.projected > current.budget) {
+        insights.push({
+          type: 'info',
+          title: 'On Pace to Exceed Budget',
+          text: `At the current rate you'll spend about $${current.projected.toFixed(0)} in ${monthName}, ` +
+            `above your $${current.budget.toFixed(2)} cap.`
+        });
+      }
+    }
+
+    // 10. Executive membership: upgrade or downgrade at the projected run-rate
+    const membership = ctx.membership;
+    if (membership && membership.current && membership.recommendation) {
+      const year = membership.current;
+      const spendText = `$${year.projectedSpend.toFixed(0)} in eligible purchases this membership year ` +
+        `would earn about $${year.projectedReward.toFixed(2)} as an Executive member`;
+      const breakEvenText = `The $${membership.feeDifference.toFixed(0)} fee difference breaks even at ` +
+        `$${membership.breakEven.toFixed(0)} of eligible spend a year.`;
+
+      if (membership.recommendation === 'upgrade' || membership.recommendation === 'executive') {
+        insights.push({
+          type: 'success',
+          title: membership.recommendation === 'upgrade' ? 'Upgrade to Executive' : 'Executive Membership Pays Off',
+          text: `At your current pace, ${spendText}, $${year.net.toFixed(2)} more than the extra fee. ${breakEvenText}`
+        });
+      } else if (membership.recommendation === 'downgrade' || membership.recommendation === 'gold') {
+        insights.push({
+          type: 'warning',
+          title: membership.recommendation === 'downgrade' ? 'Consider Downgrading to Gold Star' : 'Executive Membership Would Not Pay Off',
+          text: `At your current pace, ${spendText}, $${Math.abs(year.net).toFixed(2)} less than the extra fee. ${breakEvenText}`
+        });
+      }
+    }
+
     return insights;
   }
 
@@ -630,6 +2678,38 @@ const CostcoAnalytics = (() => {
     return arr.reduce((s, r) => s + (r[field] || 0), 0);
   }
 
+  /**
+   * Lines without any receipt id are grouped into one trip per day and
+   * warehouse rather than all into a single receipt.
+   */
+  function receiptKey(r) {
+    if (r.receipt_id || r.raw_receipt_hash || r.order_number) {
+      return r.receipt_id || r.raw_receipt_hash || r.order_number;
+    }
+    const d = r.transaction_date instanceof Date ? r.transaction_date : null;
+    const day = d ? `${monthKey(d)}-${String(d.getDate()).padStart(2, '0')}` : 'undated';
+    return `${day}|${r.warehouse_info || ''}`;
+  }
+
+  function itemKey(r) {
+    return r.item_sku || r.item_name;
+  }
+
+  /**
+   * Effective unit price of a purchase line after the item's own savings
+   * (see ownSavings).
+   */
+  function netUnitPrice(r, savings) {
+    const qty = Math.abs(r.quantity) || 1;
+    return Math.max(0, r.unit_price - savings / qty);
+  }
+
+  function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
   function round2(n) {
     return Math.round(n * 100) / 100;
   }
@@ -641,10 +2721,69 @@ const CostcoAnalytics = (() => {
     return `${y}-${m}`;
   }
 
+  function quarterKey(date) {
+    if (!date || !(date instanceof Date)) return null;
+    return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+  }
+
+  /**
+   * "2024-03" -> "Mar 2024".
+   */
+  function formatMonthKey(key) {
+    const [y, m] = key.split('-');
+    return MONTH_NAMES[parseInt(m) - 1].slice(0, 3) + ' ' + y;
+  }
+
+  function shiftMonthKey(key, months) {
+    const [y, m] = key.split('-').map(Number);
+    return monthKey(new Date(y, m - 1 + months, 1));
+  }
+
+  function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
   function truncate(str, len) {
     if (!str) return '';
     return str.length > len ? str.substring(0, len) + '...' : str;
   }
 
-  return { computeAll, getDeptLabel };
+  return {
+    computeAll,
+    getDeptLabel,
+    getDepartmentLabels,
+    getRowCategory,
+    filterByCategory,
+    computeTaxonomyUsage,
+    isFuelLine,
+    getChannel,
+    getLocation,
+    getLocationOptions,
+    filterByLocation,
+    computeItemDetail,
+    computeDataQuality,
+    getRowTags,
+    getTagOptions,
+    filterByTag,
+    getPaymentMethods,
+    isBusinessLine,
+    excludeBusiness,
+    computeBusiness,
+    computeReceipts,
+    allocateLineSavings,
+    getPresetRange,
+    filterByDateRange,
+    getDataYears,
+    getDataRange,
+    getComparisonRange,
+    computePeriodMetrics,
+    compareSummaries,
+    alignMonthly,
+    alignDepartments,
+    monthsBetween,
+    REWARD_CATEGORIES,
+    MONTH_NAMES,
+    formatMonthKey,
+    REWARD_CATEGORY_LABELS
+  };
 })();
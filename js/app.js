@@ -1,17 +1,63 @@
 /**
  * app.js - Main application controller.
  *
- * Handles file upload, dashboard rendering, tab navigation, and dark mode.
+ * Handles file upload, local persistence, dashboard rendering, tab navigation,
+ * and dark mode.
  */
 const CostcoApp = (() => {
 
   let currentMetrics = null;
+  let comparisonSeries = null;
+  let inflationPeriod = 'month';
+  let sources = [];
+  let allRows = [];
+  let dataQuality = [];
+  let qualityIssueKey = null;
+  const filters = {
+    datePreset: 'all',
+    dateRange: { start: null, end: null },
+    compareMode: 'none',
+    compareRange: { start: null, end: null },
+    location: 'all',
+    category: 'all',
+    tag: 'all'
+  };
+
+  // Summary card element suffixes, the summary field they show, and whether a
+  // rise is good news (null = neutral) when comparing periods.
+  const SUMMARY_CARDS = [
+    { id: 'total-spent', field: 'totalSpent', dollars: true, higherIsBetter: false },
+    { id: 'total-trips', field: 'totalTrips', dollars: false, higherIsBetter: null },
+    { id: 'items-purchased', field: 'totalItemsPurchased', dollars: false, higherIsBetter: null },
+    { id: 'items-returned', field: 'totalItemsReturned', dollars: false, higherIsBetter: false },
+    { id: 'total-savings', field: 'totalSavings', dollars: true, higherIsBetter: true },
+    { id: 'avg-per-trip', field: 'avgPerTrip', dollars: true, higherIsBetter: false }
+  ];
 
   function init() {
     initThemeToggle();
     initFileUpload();
     initResetButton();
     initTabs();
+    initFilters();
+    initBudgetEditor();
+    initItemDetail();
+    initInflationToggle();
+    initReceipts();
+    initFuelToggle();
+    initRewardsEditor();
+    initMembershipControls();
+    initFSAReport();
+    initMappingWizard();
+    initPasteReceipt();
+    initSheetPicker();
+    initDataQuality();
+    initTaxonomyEditor();
+    initAnnotations();
+    initHousehold();
+    initBusiness();
+    initShoppingList();
+    restoreSavedData();
   }
 
   /* ---- Theme Toggle ---- */
@@ -33,7 +79,7 @@ const CostcoApp = (() => {
         localStorage.setItem('costco-theme', 'light');
       }
       if (currentMetrics) {
-        CostcoCharts.renderAll(currentMetrics);
+        renderCharts();
       }
     });
   }
@@ -64,14 +110,22 @@ const CostcoApp = (() => {
 
   function initFileUpload() {
     const fileInput = document.getElementById('file-input');
+    const addInput = document.getElementById('file-input-add');
     const uploadArea = document.getElementById('upload-area');
 
     fileInput.addEventListener('change', (e) => {
       if (e.target.files.length > 0) {
-        handleFile(e.target.files[0]);
+        handleFiles(e.target.files);
       }
     });
 
+    addInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        handleFiles(e.target.files);
+      }
+      addInput.value = '';
+    });
+
     uploadArea.addEventListener('dragover', (e) => {
       e.preventDefault();
       uploadArea.classList.add('drag-over');
@@ -85,91 +139,2914 @@ const CostcoApp = (() => {
       e.preventDefault();
       uploadArea.classList.remove('drag-over');
       if (e.dataTransfer.files.length > 0) {
-        handleFile(e.dataTransfer.files[0]);
+        handleFiles(e.dataTransfer.files);
       }
     });
+
+    document.getElementById('source-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-remove-source]');
+      if (btn) removeSource(btn.getAttribute('data-remove-source'));
+    });
+  }
+
+  async function handleFiles(fileList) {
+    const errors = [];
+
+    showLoading(true);
+
+    for (const file of Array.from(fileList)) {
+      try {
+        let rows;
+        if (isPdf(file)) {
+          rows = await CostcoParser.parsePdf(file);
+        } else {
+          const raw = await CostcoParser.readFile(file, (sheets) => chooseSheets(file.name, sheets));
+          if (!raw) {
+            errors.push(`${file.name}: skipped, no sheets were selected.`);
+            continue;
+          }
+          const columns = await resolveColumns(file.name, raw);
+          if (!columns) {
+            errors.push(`${file.name}: skipped, columns were not mapped.`);
+            continue;
+          }
+          rows = CostcoParser.normalizeRows(raw, columns);
+        }
+
+        const validation = CostcoParser.validate(rows);
+
+        if (!validation.valid) {
+          errors.push(`${file.name}: ${validation.message}`);
+          continue;
+        }
+
+        await addSource(file.name, rows);
+      } catch (err) {
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    showLoading(false);
+
+    if (errors.length > 0) showError(errors.join(' '));
+    if (sources.length > 0) {
+      renderDashboard();
+      openDataQualityPanel();
+    }
+  }
+
+  function isPdf(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
   }
 
-  async function handleFile(file) {
-    const uploadSection = document.getElementById('upload-section');
-    const dashboardSection = document.getElementById('dashboard-section');
+  /* ---- Sheet Picker ---- */
 
-    try {
+  let sheetPicker = null;
+
+  function initSheetPicker() {
+    const dialog = document.getElementById('sheet-dialog');
+    const list = document.getElementById('sheet-list');
+    const all = document.getElementById('sheet-all');
+
+    all.addEventListener('change', () => {
+      list.querySelectorAll('input[data-sheet]').forEach(box => { box.checked = all.checked; });
+      updateSheetImport();
+    });
+    list.addEventListener('change', () => {
+      const boxes = Array.from(list.querySelectorAll('input[data-sheet]'));
+      all.checked = boxes.every(box => box.checked);
+      updateSheetImport();
+    });
+
+    dialog.addEventListener('close', () => {
+      if (!sheetPicker) return;
+      const resolve = sheetPicker;
+      sheetPicker = null;
+
+      if (dialog.returnValue !== 'import') {
+        resolve(null);
+        return;
+      }
+      resolve(Array.from(list.querySelectorAll('input[data-sheet]:checked')).map(box => box.getAttribute('data-sheet')));
+    });
+  }
+
+  /**
+   * Ask which sheets of a workbook to import.
+   * @returns {Promise<Array<string>|null>} chosen sheet names, or null to skip the file
+   */
+  function chooseSheets(fileName, sheets) {
+    return new Promise((resolve) => {
+      sheetPicker = resolve;
+
+      const dialog = document.getElementById('sheet-dialog');
+      document.getElementById('sheet-dialog-title').textContent = `Choose sheets: ${fileName}`;
+      document.getElementById('sheet-all').checked = true;
+      document.getElementById('sheet-list').innerHTML = sheets.map(sheet => `
+        <label>
+          <input type="checkbox" data-sheet="${escHtml(sheet.name)}" checked>
+          ${escHtml(sheet.name)} <span class="section-hint">${sheet.rowCount.toLocaleString()} rows</span>
+        </label>
+      `).join('');
+      updateSheetImport();
+
+      showLoading(false);
+      dialog.returnValue = '';
+      dialog.showModal();
+    }).then(names => {
       showLoading(true);
+      return names;
+    });
+  }
+
+  function updateSheetImport() {
+    const checked = document.querySelectorAll('#sheet-list input[data-sheet]:checked').length;
+    document.getElementById('btn-sheet-import').disabled = checked === 0;
+  }
+
+  /* ---- Pasted Receipts ---- */
+
+  function initPasteReceipt() {
+    const dialog = document.getElementById('paste-dialog');
+    const text = document.getElementById('paste-text');
+    const open = () => {
+      text.value = '';
+      dialog.returnValue = '';
+      dialog.showModal();
+    };
+
+    document.getElementById('btn-paste-receipt').addEventListener('click', open);
+    document.getElementById('btn-paste-receipt-add').addEventListener('click', open);
 
-      const rows = await CostcoParser.parseFile(file);
-      const validation = CostcoParser.validate(rows);
+    dialog.addEventListener('close', async () => {
+      if (dialog.returnValue !== 'import' || !text.value.trim()) return;
 
-      if (!validation.valid) {
-        showError(validation.message);
-        showLoading(false);
+      const rows = CostcoParser.parseReceiptText(text.value);
+      if (rows.length === 0) {
+        showError('No receipt lines were recognized in the pasted text.');
         return;
       }
 
-      currentMetrics = CostcoAnalytics.computeAll(rows);
+      const dates = rows.map(r => r.transaction_date).filter(d => d instanceof Date);
+      const label = dates.length > 0 ? formatDate(dates[0]) : formatDate(new Date());
+      await addSource(`Pasted receipt ${label}`, rows);
+      renderDashboard();
+      openDataQualityPanel();
+    });
+  }
 
-      uploadSection.hidden = true;
-      dashboardSection.hidden = false;
+  /* ---- Column Mapping ---- */
 
-      document.getElementById('file-info-text').textContent =
-        `${file.name} — ${rows.length} items loaded`;
+  // Fields the mapping step insists on; quantity is derived when absent
+  const MAPPING_REQUIRED = ['transaction_date', 'item_name', 'line_total'];
+  const MAPPING_PREVIEW_ROWS = 5;
 
-      renderSummaryCards(currentMetrics.summary);
-      CostcoCharts.renderAll(currentMetrics);
-      renderFrequencyTable(currentMetrics.frequencyTable);
-      renderPriceChangesTable(currentMetrics.priceChanges);
-      renderReturnsTab(currentMetrics);
-      renderTopDiscountsTable(currentMetrics.topDiscounts);
-      renderInsights(currentMetrics.insights);
-      renderPotentialReturns(currentMetrics.potentialReturns);
+  let mappingState = null;
 
-      showLoading(false);
+  function getColumnProfiles() {
+    return CostcoStore.getSetting('columnProfiles', []);
+  }
+
+  /**
+   * Decide how a file's columns map onto the schema: as-is when the required
+   * columns are present, a saved profile that fits its headers, or whatever
+   * the user picks in the mapping dialog.
+   * @returns {Promise<Object|null>} column mapping ({} for none), or null if skipped
+   */
+  async function resolveColumns(fileName, rawRows) {
+    const headers = CostcoParser.getHeaders(rawRows);
+    if (CostcoParser.getMissingColumns(headers).length === 0) return {};
+
+    const standard = CostcoParser.matchStandardColumns(headers);
+    if (MAPPING_REQUIRED.every(col => standard[col])) return standard;
+
+    const profile = getColumnProfiles().find(p => profileFits(p, headers));
+    if (profile) return profile.columns;
+
+    showLoading(false);
+    const columns = await openMappingWizard(fileName, rawRows, headers);
+    showLoading(true);
+    return columns;
+  }
+
+  function profileFits(profile, headers) {
+    const sources = Object.values(profile.columns).filter(Boolean);
+    return sources.length > 0 &&
+      sources.every(h => headers.includes(h)) &&
+      MAPPING_REQUIRED.every(col => profile.columns[col]);
+  }
+
+  function initMappingWizard() {
+    const dialog = document.getElementById('mapping-dialog');
+
+    document.getElementById('mapping-fields').addEventListener('change', (e) => {
+      const select = e.target.closest('select[data-column]');
+      if (!select || !mappingState) return;
+      mappingState.columns[select.getAttribute('data-column')] = select.value;
+      renderMappingPreview();
+    });
+
+    document.getElementById('mapping-profile').addEventListener('change', (e) => {
+      const profile = getColumnProfiles().find(p => p.name === e.target.value);
+      if (!profile || !mappingState) return;
+
+      const columns = {};
+      Object.entries(profile.columns).forEach(([col, header]) => {
+        if (mappingState.headers.includes(header)) columns[col] = header;
+      });
+      mappingState.columns = columns;
+      document.getElementById('mapping-profile-name').value = profile.name;
+      renderMappingFields();
+      renderMappingPreview();
+    });
+
+    document.getElementById('btn-mapping-delete-profile').addEventListener('click', () => {
+      const select = document.getElementById('mapping-profile');
+      if (!select.value) return;
+      const profiles = getColumnProfiles().filter(p => p.name !== select.value);
+      CostcoStore.setSetting('columnProfiles', profiles).catch(err => showError(err.message));
+      renderMappingProfiles();
+    });
+
+    dialog.addEventListener('close', () => {
+      if (!mappingState) return;
+      const { resolve, columns } = mappingState;
+      mappingState = null;
+
+      if (dialog.returnValue !== 'import') {
+        resolve(null);
+        return;
+      }
+
+      const name = document.getElementById('mapping-profile-name').value.trim();
+      if (name) {
+        const profiles = getColumnProfiles().filter(p => p.name !== name);
+        profiles.push({ name, columns: { ...columns } });
+        CostcoStore.setSetting('columnProfiles', profiles).catch(err => showError(err.message));
+      }
+      resolve(columns);
+    });
+  }
+
+  function openMappingWizard(fileName, rawRows, headers) {
+    return new Promise((resolve) => {
+      mappingState = {
+        rawRows,
+        headers,
+        columns: CostcoParser.suggestColumns(headers),
+        resolve
+      };
+
+      const dialog = document.getElementById('mapping-dialog');
+      document.getElementById('mapping-dialog-title').textContent = `Map columns: ${fileName}`;
+      document.getElementById('mapping-profile-name').value = '';
+      dialog.returnValue = '';
+      renderMappingProfiles();
+      renderMappingFields();
+      renderMappingPreview();
+      dialog.showModal();
+    });
+  }
+
+  function renderMappingProfiles() {
+    const profiles = getColumnProfiles();
+    document.getElementById('mapping-profile').innerHTML =
+      `<option value="">${profiles.length ? 'Choose a profile' : 'No saved profiles'}</option>` +
+      profiles.map(p => `<option value="${escHtml(p.name)}">${escHtml(p.name)}</option>`).join('');
+    document.getElementById('btn-mapping-delete-profile').disabled = profiles.length === 0;
+  }
+
+  function renderMappingFields() {
+    const { headers, columns } = mappingState;
+    const options = (selected) => '<option value="">Not in file</option>' +
+      headers.map(h => `<option value="${escHtml(h)}"${h === selected ? ' selected' : ''}>${escHtml(h)}</option>`).join('');
+
+    document.getElementById('mapping-fields').innerHTML = CostcoParser.EXPECTED_COLUMNS.map(col => `
+      <label>
+        ${escHtml(col)}${MAPPING_REQUIRED.includes(col) ? ' *' : ''}
+        <select data-column="${escHtml(col)}">${options(columns[col])}</select>
+      </label>
+    `).join('');
+  }
+
+  function renderMappingPreview() {
+    const { rawRows, columns } = mappingState;
+    const missing = MAPPING_REQUIRED.filter(col => !columns[col]);
+    document.getElementById('btn-mapping-import').disabled = missing.length > 0;
+
+    const preview = document.getElementById('mapping-preview');
+    if (missing.length > 0) {
+      preview.innerHTML = `<p>Map ${missing.map(escHtml).join(', ')} to see a preview.</p>`;
+      return;
+    }
+
+    const rows = CostcoParser.normalizeRows(rawRows.slice(0, MAPPING_PREVIEW_ROWS), columns);
+    preview.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Receipt</th>
+            <th>Item #</th>
+            <th>Item</th>
+            <th>Qty</th>
+            <th>Unit Price</th>
+            <th>Line Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(r => `
+            <tr>
+              <td>${formatDate(r.transaction_date)}</td>
+              <td>${escHtml(r.receipt_id)}</td>
+              <td>${escHtml(r.item_sku)}</td>
+              <td>${escHtml(String(r.item_name || ''))}</td>
+              <td>${r.quantity}</td>
+              <td>${formatDollar(r.unit_price)}</td>
+              <td>${formatDollar(r.line_total)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Sources ---- */
+
+  async function addSource(name, rows) {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+    rows.forEach(r => { r.source_id = id; });
+
+    const source = { id, name, rows, addedAt: new Date() };
+    sources.push(source);
+
+    try {
+      await CostcoStore.saveSource(source);
+    } catch (err) {
+      showError(`${name} could not be saved for next time: ${err.message}`);
+    }
+    renderStorageInfo();
+  }
+
+  async function removeSource(id) {
+    sources = sources.filter(s => s.id !== id);
+
+    try {
+      await CostcoStore.deleteSource(id);
     } catch (err) {
       showError(err.message);
-      showLoading(false);
     }
+    renderStorageInfo();
+
+    if (sources.length === 0) {
+      resetDashboard();
+      return;
+    }
+    renderDashboard();
+  }
+
+  /* ---- Data Quality ---- */
+
+  function getExcludedLines() {
+    return CostcoStore.getSetting('excludedLines', []);
+  }
+
+  /**
+   * Exclude (or include again) lines by line_key, then recompute everything.
+   */
+  function setLinesExcluded(lineKeys, exclude) {
+    const excluded = new Set(getExcludedLines());
+    lineKeys.forEach(key => (exclude ? excluded.add(key) : excluded.delete(key)));
+    CostcoStore.setSetting('excludedLines', Array.from(excluded)).catch(err => showError(err.message));
+    renderDashboard();
+    if (qualityIssueKey) renderQualityDialog();
+  }
+
+  function initDataQuality() {
+    document.getElementById('table-quality').addEventListener('click', (e) => {
+      const view = e.target.closest('[data-quality-view]');
+      if (view) {
+        qualityIssueKey = view.getAttribute('data-quality-view');
+        renderQualityDialog();
+        document.getElementById('quality-dialog').showModal();
+        return;
+      }
+
+      const toggle = e.target.closest('[data-quality-exclude]');
+      if (toggle) {
+        const issue = dataQuality.find(i => i.key === toggle.getAttribute('data-quality-exclude'));
+        setLinesExcluded(issue.rows.map(r => r.line_key), toggle.getAttribute('data-exclude') === 'true');
+      }
+    });
+
+    document.getElementById('quality-dialog-body').addEventListener('change', (e) => {
+      const box = e.target.closest('input[data-line-key]');
+      if (box) setLinesExcluded([box.getAttribute('data-line-key')], box.checked);
+    });
+
+    document.getElementById('quality-dialog').addEventListener('close', () => {
+      qualityIssueKey = null;
+    });
+  }
+
+  function openDataQualityPanel() {
+    const panel = document.getElementById('quality-panel');
+    if (!panel.hidden) panel.open = true;
+  }
+
+  function renderDataQuality() {
+    const panel = document.getElementById('quality-panel');
+    const found = dataQuality.filter(i => i.rows.length > 0);
+    const excluded = new Set(getExcludedLines());
+    panel.hidden = found.length === 0;
+    if (found.length === 0) return;
+
+    const total = found.reduce((s, i) => s + i.rows.length, 0);
+    document.getElementById('quality-summary').textContent =
+      `${total} line${total === 1 ? '' : 's'} flagged in ${found.length} check${found.length === 1 ? '' : 's'}`;
+
+    const rows = found.map(issue => {
+      const excludedCount = issue.rows.filter(r => excluded.has(r.line_key)).length;
+      const allExcluded = excludedCount === issue.rows.length;
+      return `
+        <tr>
+          <td>${escHtml(issue.label)}<br><span class="source-meta">${escHtml(issue.description)}</span></td>
+          <td>${issue.rows.length}</td>
+          <td>${issue.excludable ? excludedCount : '--'}</td>
+          <td class="quality-actions">
+            <button class="small outline" data-quality-view="${issue.key}">View</button>
+            ${issue.excludable ? `<button class="small outline" data-quality-exclude="${issue.key}" data-exclude="${!allExcluded}">${allExcluded ? 'Include All' : 'Exclude All'}</button>` : ''}
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    document.getElementById('table-quality').innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Check</th>
+            <th>Lines</th>
+            <th>Excluded</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function renderQualityDialog() {
+    const issue = dataQuality.find(i => i.key === qualityIssueKey);
+    if (!issue) return;
+    const excluded = new Set(getExcludedLines());
+
+    document.getElementById('quality-dialog-title').textContent = `${issue.label} (${issue.rows.length})`;
+    const lines = issue.rows.map(r => {
+      const problems = r.coerced_values
+        ? Object.entries(r.coerced_values).map(([field, raw]) => `${field}: "${raw}"`).join(', ')
+        : '';
+      return `
+        <tr>
+          ${issue.excludable ? `<td><input type="checkbox" data-line-key="${escHtml(r.line_key)}"${excluded.has(r.line_key) ? ' checked' : ''} aria-label="Exclude line"></td>` : ''}
+          <td>${formatDate(r.transaction_date)}</td>
+          <td>${escHtml(r.receipt_id || r.order_number || '')}</td>
+          <td>${escHtml(r.item_sku)}</td>
+          <td>${escHtml(r.item_actual_name)}</td>
+          <td>${escHtml(r.department_id)}</td>
+          <td>${r.quantity}</td>
+          <td>${formatDollar(r.line_total)}</td>
+          <td>${r.subtotal ? formatDollar(r.subtotal) : '--'}</td>
+          <td>${escHtml(problems)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    document.getElementById('quality-dialog-body').innerHTML = `
+      <p class="section-hint">${escHtml(issue.description)}${issue.excludable ? ' Check a line to leave it out of every metric; exclusions are saved in this browser.' : ''}</p>
+      <div class="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              ${issue.excludable ? '<th>Exclude</th>' : ''}
+              <th>Date</th>
+              <th>Receipt</th>
+              <th>Item #</th>
+              <th>Item</th>
+              <th>Dept</th>
+              <th>Qty</th>
+              <th>Line Total</th>
+              <th>Subtotal</th>
+              <th>Unreadable Values</th>
+            </tr>
+          </thead>
+          <tbody>${lines}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /* ---- Local Persistence ---- */
+
+  async function restoreSavedData() {
+    try {
+      showLoading(true);
+      await CostcoStore.loadSettings();
+      const saved = await CostcoStore.loadSources();
+      if (saved.length > 0 && sources.length === 0) {
+        sources = saved;
+        renderDashboard();
+        renderStorageInfo();
+      }
+    } catch (err) {
+      showError('Saved data could not be restored: ' + err.message);
+    }
+    showLoading(false);
+  }
+
+  /**
+   * Refreshed after sources are saved, removed, or cleared, not on every render.
+   */
+  function renderStorageInfo() {
+    const el = document.getElementById('storage-info');
+    CostcoStore.getUsage().then(usage => {
+      el.textContent = usage.available
+        ? `Saved in this browser: ${usage.rows.toLocaleString()} rows, ${formatBytes(usage.bytes)}`
+        : 'Local storage unavailable — data will be cleared on reload';
+    }).catch(err => showError(err.message));
+  }
+
+  function renderSourceList(duplicates) {
+    const list = document.getElementById('source-list');
+    list.innerHTML = sources.map(source => {
+      const skipped = duplicates[source.id] || 0;
+      const skippedNote = skipped > 0
+        ? ` <span class="source-meta">(${skipped} duplicate line${skipped === 1 ? '' : 's'} skipped)</span>`
+        : '';
+      return `
+        <li>
+          <span><strong>${escHtml(source.name)}</strong> &mdash; ${source.rows.length} rows${skippedNote}</span>
+          <button class="small outline" data-remove-source="${escHtml(source.id)}" aria-label="Remove ${escHtml(source.name)}">Remove</button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /* ---- Dashboard ---- */
+
+  /**
+   * Rebuild the merged dataset from the loaded sources, then refresh the view.
+   */
+  function renderDashboard() {
+    const merged = CostcoParser.mergeSources(sources);
+    const excluded = new Set(getExcludedLines());
+    dataQuality = CostcoAnalytics.computeDataQuality(merged.rows, merged.duplicateRows, getTaxonomy());
+    allRows = merged.rows.filter(r => !excluded.has(r.line_key));
+
+    document.getElementById('upload-section').hidden = true;
+    document.getElementById('dashboard-section').hidden = false;
+
+    const fileLabel = sources.length === 1 ? sources[0].name : `${sources.length} files`;
+    const excludedCount = merged.rows.length - allRows.length;
+    document.getElementById('file-info-text').textContent =
+      `${fileLabel} — ${allRows.length} items loaded` + (excludedCount > 0 ? ` (${excludedCount} excluded)` : '');
+    renderSourceList(merged.duplicates);
+    renderDataQuality();
+    renderYearPresets();
+    renderLocationOptions();
+    renderCategoryOptions();
+    renderTagOptions();
+
+    refreshView();
+  }
+
+  /**
+   * Apply the active filters to the merged dataset and re-render every tab.
+   */
+  function refreshView() {
+    const rows = applyFilters(allRows);
+
+    currentMetrics = CostcoAnalytics.computeAll(rows, {
+      allRows,
+      taxonomy: getTaxonomy(),
+      budgets: getBudgets(),
+      excludeFuelFromTrend: CostcoStore.getSetting('excludeFuelFromTrend', false),
+      rewards: getRewards(),
+      membership: getMembership(),
+      fsaPlanStartMonth: CostcoStore.getSetting('fsaPlanStartMonth', 1),
+      annotations: getAnnotations(),
+      household: getHousehold()
+    });
+
+    const comparison = computeComparison();
+    comparisonSeries = comparison ? comparison.series : null;
+    renderFilterSummary(rows.length, comparison);
+
+    renderSummaryCards(currentMetrics.summary, comparison ? comparison.deltas : null);
+    renderCharts();
+    renderInflationSummary(currentMetrics.inflation[inflationPeriod]);
+    renderFrequencyTable(currentMetrics.frequencyTable);
+    renderPriceChangesTable(currentMetrics.priceChanges);
+    renderReturnsTab(currentMetrics);
+    renderTopDiscountsTable(currentMetrics.topDiscounts);
+    renderPayments(currentMetrics.payments);
+    renderMembership(currentMetrics.membership);
+    renderInsights(currentMetrics.insights);
+    renderPotentialReturns(currentMetrics.potentialReturns);
+    renderPriceAdjustments(currentMetrics.priceAdjustments);
+    renderReceiptsTable();
+    renderLocationsTab(currentMetrics.locations);
+    renderFuelTab(currentMetrics.fuel);
+    renderFeesTab(currentMetrics.feesAndTaxes);
+    renderFSATab();
+    renderBudgetTab(currentMetrics.budgets);
+    renderTaxonomyTab();
+    renderTagsTab(currentMetrics.tags);
+    renderHouseholdTab(currentMetrics.household);
+    renderBusinessTab();
+    renderReplenishment(currentMetrics.replenishment);
+  }
+
+  function renderCharts() {
+    CostcoCharts.renderAll(currentMetrics, comparisonSeries, { inflationPeriod });
+  }
+
+  /* ---- Inflation Index ---- */
+
+  function initInflationToggle() {
+    const select = document.getElementById('inflation-period');
+    select.addEventListener('change', () => {
+      inflationPeriod = select.value;
+      if (!currentMetrics) return;
+      CostcoCharts.renderInflationIndex(currentMetrics.inflation[inflationPeriod]);
+      renderInflationSummary(currentMetrics.inflation[inflationPeriod]);
+    });
+  }
+
+  function renderInflationSummary(data) {
+    const el = document.getElementById('inflation-summary');
+    if (data.change === null || data.periods.length < 2) {
+      el.textContent = '';
+      return;
+    }
+    const first = data.periods[0];
+    const label = inflationPeriod === 'quarter' ? first.replace(/^(\d{4})-(Q\d)$/, '$2 $1') : CostcoAnalytics.formatMonthKey(first);
+    el.textContent = `Your basket of ${data.basketSize} staples is ` +
+      `${data.change >= 0 ? 'up' : 'down'} ${Math.abs(data.change).toFixed(1)}% since ${label} (index ${(100 + data.change).toFixed(1)}). ` +
+      'Bars show your spending at starting prices, i.e. how much you bought.';
+  }
+
+  /* ---- Filters ---- */
+
+  function initFilters() {
+    const preset = document.getElementById('filter-date-preset');
+    const start = document.getElementById('filter-date-start');
+    const end = document.getElementById('filter-date-end');
+
+    preset.addEventListener('change', () => {
+      filters.datePreset = preset.value;
+      if (preset.value !== 'custom') {
+        filters.dateRange = CostcoAnalytics.getPresetRange(preset.value);
+        start.value = toInputDate(filters.dateRange.start);
+        end.value = toInputDate(filters.dateRange.end);
+      }
+      refreshView();
+    });
+
+    [start, end].forEach(input => {
+      input.addEventListener('change', () => {
+        filters.datePreset = 'custom';
+        preset.value = 'custom';
+        filters.dateRange = {
+          start: fromInputDate(start.value),
+          end: fromInputDate(end.value)
+        };
+        refreshView();
+      });
+    });
+
+    initCompareControls();
+
+    const location = document.getElementById('filter-location');
+    location.addEventListener('change', () => {
+      filters.location = location.value;
+      refreshView();
+    });
+
+    const category = document.getElementById('filter-category');
+    category.addEventListener('change', () => {
+      filters.category = category.value;
+      refreshView();
+    });
+
+    const business = document.getElementById('filter-exclude-business');
+    business.addEventListener('change', () => {
+      CostcoStore.setSetting('excludeBusiness', business.checked).catch(err => showError(err.message));
+      if (currentMetrics) refreshView();
+    });
+
+    const tag = document.getElementById('filter-tag');
+    tag.addEventListener('change', () => {
+      filters.tag = tag.value;
+      refreshView();
+    });
+  }
+
+  function initCompareControls() {
+    const mode = document.getElementById('filter-compare-mode');
+    const start = document.getElementById('filter-compare-start');
+    const end = document.getElementById('filter-compare-end');
+
+    mode.addEventListener('change', () => {
+      filters.compareMode = mode.value;
+      document.querySelectorAll('.compare-custom').forEach(el => {
+        el.hidden = mode.value !== 'custom';
+      });
+      refreshView();
+    });
+
+    [start, end].forEach(input => {
+      input.addEventListener('change', () => {
+        filters.compareRange = {
+          start: fromInputDate(start.value),
+          end: fromInputDate(end.value)
+        };
+        refreshView();
+      });
+    });
+  }
+
+  /**
+   * @param {Array<Object>} rows
+   * @param {{start: Date|null, end: Date|null}} [dateRange] - defaults to the active range
+   */
+  function applyFilters(rows, dateRange) {
+    const dated = CostcoAnalytics.filterByDateRange(rows, dateRange || filters.dateRange);
+    const located = CostcoAnalytics.filterByLocation(dated, filters.location);
+    const categorized = CostcoAnalytics.filterByCategory(located, filters.category, getTaxonomy());
+    const tagged = CostcoAnalytics.filterByTag(categorized, filters.tag, getAnnotations());
+    return CostcoStore.getSetting('excludeBusiness', false)
+      ? CostcoAnalytics.excludeBusiness(tagged, getBusiness())
+      : tagged;
+  }
+
+  function renderLocationOptions() {
+    const select = document.getElementById('filter-location');
+    const options = CostcoAnalytics.getLocationOptions(allRows);
+    const opt = (value, label) =>
+      `<option value="${escHtml(value)}">${escHtml(label)}</option>`;
+
+    select.innerHTML =
+      opt('all', 'All locations') +
+      '<optgroup label="Channel">' +
+      options.channels.map(c => opt('channel:' + c, c)).join('') +
+      '</optgroup><optgroup label="Warehouse">' +
+      options.locations.map(l => opt('location:' + l, l)).join('') +
+      '</optgroup>';
+
+    if (!Array.from(select.options).some(o => o.value === filters.location)) {
+      filters.location = 'all';
+    }
+    select.value = filters.location;
+  }
+
+  function renderCategoryOptions() {
+    const select = document.getElementById('filter-category');
+    const labels = CostcoAnalytics.getDepartmentLabels(allRows, getTaxonomy());
+    select.innerHTML = '<option value="all">All categories</option>' +
+      labels.map(l => `<option value="${escHtml(l)}">${escHtml(l)}</option>`).join('');
+
+    if (!labels.includes(filters.category)) filters.category = 'all';
+    select.value = filters.category;
+  }
+
+  function renderTagOptions() {
+    const select = document.getElementById('filter-tag');
+    const tags = CostcoAnalytics.getTagOptions(getAnnotations());
+    const options = tags.map(t => `<option value="${escHtml(t)}">${escHtml(t)}</option>`).join('');
+    select.innerHTML = '<option value="all">All tags</option>' + options;
+    document.getElementById('tag-list').innerHTML = options;
+
+    if (!tags.includes(filters.tag)) filters.tag = 'all';
+    select.value = filters.tag;
+  }
+
+  /**
+   * The active date range with open ends filled in from the data itself.
+   */
+  function getEffectiveRange() {
+    const dataRange = CostcoAnalytics.getDataRange(allRows);
+    return {
+      start: filters.dateRange.start || dataRange.start,
+      end: filters.dateRange.end || dataRange.end
+    };
+  }
+
+  /**
+   * Compute the comparison period's summary deltas and chart series, or null
+   * when comparison mode is off or the period can't be resolved.
+   */
+  function computeComparison() {
+    if (filters.compareMode === 'none') return null;
+
+    const primary = getEffectiveRange();
+    const range = filters.compareMode === 'custom'
+      ? filters.compareRange
+      : CostcoAnalytics.getComparisonRange(primary, filters.compareMode);
+    if (!range || !range.start || !range.end || !primary.start) return null;
+
+    const period = CostcoAnalytics.computePeriodMetrics(applyFilters(allRows, range), getTaxonomy());
+    const monthOffset = CostcoAnalytics.monthsBetween(range.start, primary.start);
+
+    return {
+      range,
+      deltas: CostcoAnalytics.compareSummaries(currentMetrics.summary, period.summary),
+      series: {
+        monthly: CostcoAnalytics.alignMonthly(currentMetrics.monthly, period.monthly, monthOffset),
+        departments: CostcoAnalytics.alignDepartments(currentMetrics.departments, period.departments)
+      }
+    };
+  }
+
+  /**
+   * Offer one "Calendar YYYY" preset per year present in the data.
+   */
+  function renderYearPresets() {
+    const select = document.getElementById('filter-date-preset');
+    select.querySelectorAll('option[data-year]').forEach(o => o.remove());
+
+    const custom = select.querySelector('option[value="custom"]');
+    CostcoAnalytics.getDataYears(allRows).forEach(year => {
+      const option = document.createElement('option');
+      option.value = `year:${year}`;
+      option.textContent = `Calendar ${year}`;
+      option.setAttribute('data-year', year);
+      select.insertBefore(option, custom);
+    });
+
+    if (!select.querySelector(`option[value="${filters.datePreset}"]`)) {
+      filters.datePreset = 'all';
+      filters.dateRange = { start: null, end: null };
+    }
+    select.value = filters.datePreset;
+  }
+
+  function renderFilterSummary(rowCount, comparison) {
+    const el = document.getElementById('filter-summary');
+    let text = rowCount === allRows.length
+      ? `Showing all ${rowCount} items`
+      : `Showing ${rowCount} of ${allRows.length} items`;
+    if (comparison) {
+      text += ` · compared with ${formatDate(comparison.range.start)} – ${formatDate(comparison.range.end)}`;
+    }
+    el.textContent = text;
+  }
+
+  function toInputDate(date) {
+    if (!date) return '';
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+  }
+
+  function fromInputDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
   }
 
   /* ---- Reset ---- */
 
   function initResetButton() {
-    document.getElementById('btn-reset').addEventListener('click', () => {
-      currentMetrics = null;
-      CostcoCharts.destroyAll();
-
-      document.getElementById('upload-section').hidden = false;
-      document.getElementById('dashboard-section').hidden = true;
-      document.getElementById('file-input').value = '';
+    document.getElementById('btn-reset').addEventListener('click', async () => {
+      const ok = window.confirm(
+        'Forget all data? This deletes every imported file saved in this browser.'
+      );
+      if (!ok) return;
+
+      try {
+        await CostcoStore.clearAll();
+      } catch (err) {
+        showError(err.message);
+      }
+      renderStorageInfo();
+      resetDashboard();
     });
   }
 
+  function resetDashboard() {
+    sources = [];
+    allRows = [];
+    currentMetrics = null;
+    CostcoCharts.destroyAll();
+
+    document.getElementById('upload-section').hidden = false;
+    document.getElementById('dashboard-section').hidden = true;
+    document.getElementById('file-input').value = '';
+  }
+
   /* ---- Summary Cards ---- */
 
-  function renderSummaryCards(summary) {
-    document.getElementById('stat-total-spent').textContent = formatDollar(summary.totalSpent);
-    document.getElementById('stat-total-trips').textContent = summary.totalTrips;
-    document.getElementById('stat-items-purchased').textContent = summary.totalItemsPurchased;
-    document.getElementById('stat-items-returned').textContent = summary.totalItemsReturned;
-    document.getElementById('stat-total-savings').textContent = formatDollar(summary.totalSavings);
-    document.getElementById('stat-avg-per-trip').textContent = formatDollar(summary.avgPerTrip);
+  /**
+   * @param {Object} summary - metrics.summary
+   * @param {Object|null} deltas - CostcoAnalytics.compareSummaries result, if comparing
+   */
+  function renderSummaryCards(summary, deltas) {
+    SUMMARY_CARDS.forEach(card => {
+      const value = summary[card.field];
+      document.getElementById('stat-' + card.id).textContent =
+        card.dollars ? formatDollar(value) : value;
+
+      const deltaEl = document.getElementById('delta-' + card.id);
+      const d = deltas ? deltas[card.field] : null;
+      deltaEl.hidden = !d;
+      if (!d) return;
+
+      const sign = d.delta > 0 ? '+' : '';
+      const amount = card.dollars ? sign + formatDollar(d.delta) : sign + round1(d.delta);
+      const pct = d.percent !== null ? ` (${d.percent > 0 ? '+' : ''}${d.percent}%)` : '';
+      const arrow = d.delta > 0 ? '&#9650;' : d.delta < 0 ? '&#9660;' : '';
+
+      let tone = 'delta-neutral';
+      if (d.delta !== 0 && card.higherIsBetter !== null) {
+        tone = (d.delta > 0) === card.higherIsBetter ? 'delta-good' : 'delta-bad';
+      }
+      deltaEl.className = 'card-delta ' + tone;
+      deltaEl.innerHTML = `${arrow} ${amount}${pct} <span>vs ${card.dollars ? formatDollar(d.previous) : round1(d.previous)}</span>`;
+    });
+  }
+
+  /* ---- Frequency Table ---- */
+
+  function renderFrequencyTable(data) {
+    const container = document.getElementById('table-frequency');
+    if (data.length === 0) {
+      container.innerHTML = '<p>No purchase data.</p>';
+      return;
+    }
+
+    const rows = data.slice(0, 50).map(item => `
+      <tr class="clickable-row" data-item-key="${escHtml(item.key)}" tabindex="0">
+        <td>${escHtml(item.name)}</td>
+        <td>${item.count}</td>
+        <td>${formatDollar(item.totalSpent)}</td>
+        <td>${formatDate(item.firstDate)}</td>
+        <td>${formatDate(item.lastDate)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Times Bought</th>
+            <th>Total Spent</th>
+            <th>First Purchase</th>
+            <th>Last Purchase</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Price Changes Table ---- */
+
+  function renderPriceChangesTable(data) {
+    const container = document.getElementById('table-price-changes');
+    if (data.length === 0) {
+      container.innerHTML = '<p>No price changes detected across your purchase history.</p>';
+      return;
+    }
+
+    const rows = data.map(item => {
+      let change;
+      if (item.change === 0) {
+        change = '<span class="price-flat">No net change</span>';
+      } else {
+        const cls = item.change > 0 ? 'price-up' : 'price-down';
+        const arrow = item.change > 0 ? '&#9650;' : '&#9660;';
+        change = `<span class="${cls}">${arrow} ${item.change > 0 ? '+' : ''}${formatDollar(item.change)} (${item.changePercent > 0 ? '+' : ''}${item.changePercent}%)</span>`;
+      }
+      const drops = item.tempDrops.length > 0
+        ? `${item.tempDrops.length}${item.saleCount > 0 ? ` (${item.saleCount} with savings)` : ''}`
+        : '--';
+
+      return `
+        <tr class="clickable-row" data-item-key="${escHtml(item.key)}" tabindex="0">
+          <td>${escHtml(item.name)}</td>
+          <td>${formatDollar(item.oldPrice)}</td>
+          <td>${formatDollar(item.newPrice)}</td>
+          <td>${change}</td>
+          <td>${formatDollar(item.minPrice)} / ${formatDollar(item.medianPrice)} / ${formatDollar(item.maxPrice)}</td>
+          <td>${item.pricePoints}</td>
+          <td>${drops}</td>
+          <td>${formatDollar(item.avgNetPrice)}</td>
+          <td>${formatDate(item.firstDate)} &rarr; ${formatDate(item.lastDate)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Old Price</th>
+            <th>New Price</th>
+            <th>Change</th>
+            <th>Low / Median / High</th>
+            <th>Price Points</th>
+            <th>Temporary Drops</th>
+            <th>Avg Net Price</th>
+            <th>Period</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Item Detail ---- */
+
+  function initItemDetail() {
+    const open = (e) => {
+      const row = e.target.closest('[data-item-key]');
+      if (!row) return;
+      if (e.type === 'keydown' && e.key !== 'Enter') return;
+      openItemDetail(row.getAttribute('data-item-key'));
+    };
+
+    ['table-frequency', 'table-price-changes', 'table-price-adjustments',
+      'table-price-adjustments-missed', 'table-annotations', 'table-replenishment'].forEach(id => {
+      const container = document.getElementById(id);
+      container.addEventListener('click', open);
+      container.addEventListener('keydown', open);
+    });
+
+    CostcoCharts.setItemClickHandler(openItemDetail);
+  }
+
+  function openItemDetail(key) {
+    const detail = CostcoAnalytics.computeItemDetail(allRows, key, currentMetrics.lineSavings, getTaxonomy());
+    if (!detail) return;
+
+    const dialog = document.getElementById('item-dialog');
+    document.getElementById('item-dialog-title').textContent = detail.name;
+
+    const iv = detail.intervals;
+    const intervalText = iv.count > 0
+      ? `Bought on ${iv.purchaseDays} different days, typically every ${Math.round(iv.medianDays)} days ` +
+        `(range ${iv.minDays}–${iv.maxDays}, average ${Math.round(iv.avgDays)}).`
+      : `Bought on ${iv.purchaseDays} day${iv.purchaseDays === 1 ? '' : 's'} — not enough history for an interval.`;
+    const sinceText = iv.daysSinceLast !== null ? ` Last bought ${iv.daysSinceLast} days ago.` : '';
+    const image = detail.image
+      ? `<img class="item-image" src="${escHtml(detail.image)}" alt="" loading="lazy" referrerpolicy="no-referrer">`
+      : '';
+
+    document.getElementById('item-dialog-summary').innerHTML = `
+      <div class="item-header">
+        ${image}
+        <div>
+          <p class="item-meta">
+            ${detail.sku ? `Item #${escHtml(detail.sku)} &middot; ` : ''}${escHtml(detail.department)}
+            ${detail.description ? `<br>${escHtml(detail.description)}` : ''}
+          </p>
+          <p>${escHtml(intervalText + sinceText)}</p>
+        </div>
+      </div>
+      <div class="detail-stats">
+        <div><span>Units bought</span><strong>${detail.totalQuantity}</strong></div>
+        <div><span>Total spent</span><strong>${formatDollar(detail.totalSpent)}</strong></div>
+        <div><span>Instant savings</span><strong>${formatDollar(detail.totalSavings)}</strong></div>
+        <div><span>Returned</span><strong>${detail.returns.length} (${formatDollar(detail.totalRefunded)})</strong></div>
+      </div>
+    `;
+
+    const note = getAnnotations().items[detail.key] || {};
+    document.getElementById('item-dialog-notes').innerHTML = `
+      <label>
+        Tags
+        <input type="text" list="tag-list" data-annotation="tags" data-kind="items" data-key="${escHtml(detail.key)}"
+          value="${escHtml((note.tags || []).join(', '))}" placeholder="e.g. gift, for mom">
+      </label>
+      <label>
+        Note
+        <textarea rows="2" data-annotation="note" data-kind="items" data-key="${escHtml(detail.key)}"
+          placeholder="e.g. bad quality, don't rebuy">${escHtml(note.note)}</textarea>
+      </label>
+    `;
+
+    renderItemSplit(detail.key);
+
+    document.getElementById('item-dialog-history').innerHTML =
+      buildItemLinesTable('Purchases', detail.purchases) +
+      (detail.returns.length > 0 ? buildItemLinesTable('Returns', detail.returns) : '');
+
+    if (!dialog.open) dialog.showModal();
+    CostcoCharts.renderItemPriceHistory(detail);
+  }
+
+  function buildItemLinesTable(title, lines) {
+    const rows = lines.map(line => `
+      <tr>
+        <td>${formatDate(line.date)}</td>
+        <td>${escHtml(line.receiptId)}</td>
+        <td>${escHtml(line.warehouse)}</td>
+        <td>${line.quantity}</td>
+        <td>${formatDollar(line.unitPrice)}</td>
+        <td>${formatDollar(line.lineTotal)}</td>
+        <td>${line.instantSavings > 0 ? formatDollar(line.instantSavings) : '--'}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <h4>${escHtml(title)}</h4>
+      <div class="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Receipt</th>
+              <th>Warehouse</th>
+              <th>Qty</th>
+              <th>Unit Price</th>
+              <th>Total</th>
+              <th>Savings</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /* ---- Returns Tab ---- */
+
+  function renderReturnsTab(metrics) {
+    document.getElementById('stat-total-refund').textContent =
+      formatDollar(metrics.summary.totalReturnAmount);
+
+    const totalItems = metrics.summary.totalItemsPurchased + metrics.summary.totalItemsReturned;
+    const rate = totalItems > 0
+      ? (metrics.summary.totalItemsReturned / totalItems * 100).toFixed(1)
+      : '0.0';
+    document.getElementById('stat-return-rate').textContent = rate + '%';
+
+    const container = document.getElementById('table-returns');
+    const data = metrics.returnsTable;
+
+    if (data.length === 0) {
+      container.innerHTML = '<p>No returns found in your data.</p>';
+      return;
+    }
+
+    const rows = data.map(item => `
+      <tr>
+        <td>${formatDate(item.date)}</td>
+        <td>${escHtml(item.name)}</td>
+        <td>${item.quantity}</td>
+        <td>${formatDollar(item.refund)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Item</th>
+            <th>Qty</th>
+            <th>Refund</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Top Discounts Table ---- */
+
+  function renderTopDiscountsTable(data) {
+    const container = document.getElementById('table-top-discounts');
+
+    if (data.length === 0) {
+      container.innerHTML = '<p>No discount data found.</p>';
+      return;
+    }
+
+    const rows = data.map(item => `
+      <tr>
+        <td>${escHtml(item.name)}</td>
+        <td>${formatDollar(item.unitPrice)}</td>
+        <td>${formatDollar(item.savings)}</td>
+        <td>${item.discountPct}%</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Unit Price</th>
+            <th>Savings</th>
+            <th>Discount %</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Payment Methods & Rewards ---- */
+
+  function getRewards() {
+    return CostcoStore.getSetting('rewards', { cards: {} });
+  }
+
+  function saveRewards(cards) {
+    CostcoStore.setSetting('rewards', { cards }).catch(err => showError(err.message));
+    refreshView();
+  }
+
+  function initRewardsEditor() {
+    const editor = document.getElementById('rewards-editor');
+
+    editor.addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-card]');
+      if (!input) return;
+
+      const cards = { ...getRewards().cards };
+      const name = input.getAttribute('data-card');
+      const category = input.getAttribute('data-category');
+      const rate = parseFloat(input.value);
+      cards[name] = { ...cards[name], [category]: isNaN(rate) || rate <= 0 ? null : rate };
+      saveRewards(cards);
+    });
+
+    editor.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-card]');
+      if (!btn) return;
+
+      const cards = { ...getRewards().cards };
+      delete cards[btn.getAttribute('data-remove-card')];
+      saveRewards(cards);
+    });
+
+    document.getElementById('rewards-add-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('rewards-new-card');
+      const name = input.value.replace(/\s+/g, ' ').trim();
+      if (!name) return;
+
+      const cards = getRewards().cards;
+      input.value = '';
+      if (cards[name]) return;
+      saveRewards({ ...cards, [name]: {} });
+    });
+  }
+
+  function renderPayments(data) {
+    const categories = CostcoAnalytics.REWARD_CATEGORIES;
+    const labels = CostcoAnalytics.REWARD_CATEGORY_LABELS;
+
+    document.getElementById('payments-summary').textContent = data.hasRewards
+      ? `Estimated cashback: ${formatDollar(data.earned)}. Routing each category to its best card would earn ` +
+        `${formatDollar(data.optimalEarned)}` + (data.gain > 0 ? ` (${formatDollar(data.gain)} more).` : ', so you are already optimal.')
+      : 'Enter reward rates below to estimate cashback per card.';
+
+    const table = document.getElementById('table-payments');
+    if (data.methods.length === 0) {
+      table.innerHTML = '<p>No receipts in this period.</p>';
+    } else {
+      const rows = data.methods.map(m => `
+        <tr>
+          <td>${escHtml(m.name)}</td>
+          <td>${m.trips}</td>
+          ${categories.map(c => `<td>${formatDollar(m.byCategory[c])}</td>`).join('')}
+          <td>${formatDollar(m.spend)}</td>
+          <td>${formatDollar(m.earned)}</td>
+          <td>${m.effectiveRate}%</td>
+        </tr>
+      `).join('');
+
+      table.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Payment Method</th>
+              <th>Receipts</th>
+              ${categories.map(c => `<th>${labels[c]}</th>`).join('')}
+              <th>Total</th>
+              <th>Est. Cashback</th>
+              <th>Effective Rate</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    const routing = document.getElementById('table-payment-routing');
+    if (!data.hasRewards) {
+      routing.innerHTML = '<p>No reward rates entered yet.</p>';
+    } else {
+      const rows = data.routes.map(r => `
+        <tr>
+          <td>${labels[r.category]}</td>
+          <td>${formatDollar(r.spend)}</td>
+          <td>${r.card ? escHtml(r.card) : '--'}</td>
+          <td>${r.rate}%</td>
+          <td>${formatDollar(r.earned)}</td>
+        </tr>
+      `).join('');
+
+      routing.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Spend</th>
+              <th>Best Card</th>
+              <th>Rate</th>
+              <th>Would Earn</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    renderRewardsEditor(data);
+  }
+
+  function renderRewardsEditor(data) {
+    const editor = document.getElementById('rewards-editor');
+    if (editor.contains(document.activeElement)) return;
+
+    const cards = getRewards().cards;
+    const used = data.methods.map(m => m.name).filter(name => name !== 'Unknown');
+    const names = Array.from(new Set(used.concat(Object.keys(cards))));
+    const categories = CostcoAnalytics.REWARD_CATEGORIES;
+
+    if (names.length === 0) {
+      editor.innerHTML = '<p>No payment methods found on your receipts. Add a card below.</p>';
+      return;
+    }
+
+    const rows = names.map(name => {
+      const rates = cards[name] || {};
+      return `
+        <tr>
+          <td>${escHtml(name)}</td>
+          ${categories.map(c => `
+            <td>
+              <input type="number" min="0" step="0.1" placeholder="0"
+                data-card="${escHtml(name)}" data-category="${c}"
+                value="${rates[c] != null ? rates[c] : ''}" aria-label="${escHtml(name)} ${c} %">
+            </td>
+          `).join('')}
+          <td>${used.includes(name) ? '' : `<button class="small outline" data-remove-card="${escHtml(name)}">Remove</button>`}</td>
+        </tr>
+      `;
+    }).join('');
+
+    editor.innerHTML = `
+      <table class="rewards-editor-table">
+        <thead>
+          <tr>
+            <th>Card</th>
+            ${categories.map(c => `<th>${CostcoAnalytics.REWARD_CATEGORY_LABELS[c]} %</th>`).join('')}
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Executive Membership ---- */
+
+  function getMembership() {
+    return CostcoStore.getSetting('membership', { renewalMonth: 1, tier: '' });
+  }
+
+  function initMembershipControls() {
+    const month = document.getElementById('membership-renewal-month');
+    const tier = document.getElementById('membership-tier');
+    month.innerHTML = CostcoAnalytics.MONTH_NAMES.map((name, i) => `<option value="${i + 1}">${name}</option>`).join('');
+
+    const save = () => {
+      CostcoStore.setSetting('membership', {
+        renewalMonth: parseInt(month.value),
+        tier: tier.value
+      }).catch(err => showError(err.message));
+      if (currentMetrics) refreshView();
+    };
+    month.addEventListener('change', save);
+    tier.addEventListener('change', save);
+  }
+
+  function renderMembership(data) {
+    const settings = getMembership();
+    document.getElementById('membership-renewal-month').value = String(data.renewalMonth);
+    document.getElementById('membership-tier').value = settings.tier || '';
+
+    document.getElementById('membership-summary').textContent =
+      `Executive members earn ${data.rate}% back (up to ${formatDollar(data.cap)} a year) for ` +
+      `${formatDollar(data.feeDifference)} more than Gold Star, so it pays off above ` +
+      `${formatDollar(data.breakEven)} of eligible spend a year. Eligible spend excludes fuel, tax, and fees, net of returns and savings.`;
+
+    const container = document.getElementById('table-membership');
+    if (data.years.length === 0) {
+      container.innerHTML = '<p>No eligible purchases yet.</p>';
+      return;
+    }
+
+    const rows = data.years.slice().reverse().map(y => `
+      <tr>
+        <td>${escHtml(y.label)}${y.isCurrent ? ` <span class="badge">${y.elapsedDays} of ${y.totalDays} days</span>` : ''}</td>
+        <td>${formatDollar(y.eligibleSpend)}</td>
+        <td>${formatDollar(y.reward)}</td>
+        <td>${y.isProjected ? formatDollar(y.projectedSpend) : '--'}</td>
+        <td>${formatDollar(y.projectedReward)}</td>
+        <td class="${y.net >= 0 ? 'price-down' : 'price-up'}">${formatDollar(y.net)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Membership Year</th>
+            <th>Eligible Spend</th>
+            <th>${data.rate}% Reward</th>
+            <th>Projected Spend</th>
+            <th>Projected Reward</th>
+            <th>Reward minus Fee Difference</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Insights ---- */
+
+  function renderInsights(insights) {
+    const container = document.getElementById('insights-list');
+
+    if (insights.length === 0) {
+      container.innerHTML = '<p>Upload more data to get spending insights.</p>';
+      return;
+    }
+
+    container.innerHTML = insights.map(insight => {
+      const variant = insight.type === 'warning' ? 'warning'
+        : insight.type === 'success' ? 'success' : '';
+      const variantAttr = variant ? ` data-variant="${variant}"` : '';
+
+      return `
+        <div role="alert"${variantAttr} class="insight-card">
+          <strong>${escHtml(insight.title)}</strong> &mdash; ${escHtml(insight.text)}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /* ---- Potential Returns ---- */
+
+  function renderPotentialReturns(data) {
+    // Summary cards
+    document.getElementById('stat-potential-refund').textContent =
+      formatDollar(data.totalPotentialRefund);
+    document.getElementById('stat-returnable-items').textContent =
+      data.totalReturnableItems;
+    document.getElementById('stat-urgent-items').textContent =
+      data.urgent.length;
+
+    // Urgent section (90-day window closing)
+    const urgentSection = document.getElementById('potential-returns-urgent');
+    urgentSection.hidden = data.urgent.length === 0;
+    if (data.urgent.length > 0) {
+      document.getElementById('table-urgent-returns').innerHTML =
+        buildReturnableTable(data.urgent, true);
+    }
+
+    // Category sections
+    const catContainer = document.getElementById('potential-returns-categories');
+    const catHtml = Object.entries(data.categories)
+      .sort((a, b) => b[1].totalRefund - a[1].totalRefund)
+      .map(([category, catData]) => {
+        const items = catData.items.filter(i => i.status !== 'expired');
+        if (items.length === 0) return '';
+        return `
+          <div class="chart-row">
+            <div class="table-container">
+              <h3>${escHtml(category)} <span class="category-total">${formatDollar(catData.totalRefund)} potential refund</span></h3>
+              <div class="table-scroll">
+                ${buildReturnableTable(items, false)}
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('');
+    catContainer.innerHTML = catHtml;
+
+    // Expired section
+    const expiredSection = document.getElementById('potential-returns-expired');
+    expiredSection.hidden = data.expired.length === 0;
+    if (data.expired.length > 0) {
+      document.getElementById('table-expired-returns').innerHTML =
+        buildReturnableTable(data.expired, true);
+    }
+  }
+
+  function buildReturnableTable(items, showDept) {
+    const rows = items.map(item => {
+      const statusBadge = getStatusBadge(item.status, item.daysRemaining);
+      const deptCol = showDept ? `<td>${escHtml(item.department)}</td>` : '';
+
+      return `
+        <tr class="return-row-${item.status}">
+          <td>${escHtml(item.name)}</td>
+          ${deptCol}
+          <td>${item.quantity}</td>
+          <td>${formatDollar(item.unitPrice)}</td>
+          <td>${formatDollar(item.refundEstimate)}</td>
+          <td>${formatDate(item.purchaseDate)}</td>
+          <td>${item.daysSincePurchase}d ago</td>
+          <td>${statusBadge}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const deptHeader = showDept ? '<th>Category</th>' : '';
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Item</th>
+            ${deptHeader}
+            <th>Qty</th>
+            <th>Unit Price</th>
+            <th>Est. Refund</th>
+            <th>Purchased</th>
+            <th>Age</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function getStatusBadge(status, daysRemaining) {
+    switch (status) {
+      case 'urgent':
+        return `<span class="badge badge-urgent">${daysRemaining}d left</span>`;
+      case 'limited':
+        return `<span class="badge badge-limited">${daysRemaining}d left</span>`;
+      case 'expired':
+        return '<span class="badge badge-expired">Expired</span>';
+      case 'anytime':
+      default:
+        return '<span class="badge badge-anytime">Anytime</span>';
+    }
+  }
+
+  /* ---- Locations ---- */
+
+  function renderLocationsTab(data) {
+    document.getElementById('table-locations').innerHTML = buildLocationTable(data.warehouses, 'Warehouse');
+    document.getElementById('table-channels').innerHTML = buildLocationTable(data.channels, 'Channel');
+  }
+
+  function buildLocationTable(groups, heading) {
+    if (groups.length === 0) return '<p>No data.</p>';
+
+    const rows = groups.map(g => `
+      <tr>
+        <td>${escHtml(g.name)}</td>
+        <td>${formatDollar(g.spend)}</td>
+        <td>${g.trips}</td>
+        <td>${formatDollar(g.avgBasket)}</td>
+        <td>${g.departments.slice(0, 3).map(d => `${escHtml(d.label)} ${d.share}%`).join(', ')}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>${heading}</th>
+            <th>Net Spend</th>
+            <th>Trips</th>
+            <th>Avg Basket</th>
+            <th>Top Departments</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Fuel ---- */
+
+  const FUEL_FILLUP_LIMIT = 50;
+
+  function initFuelToggle() {
+    const toggle = document.getElementById('fuel-exclude-trend');
+    toggle.addEventListener('change', () => {
+      CostcoStore.setSetting('excludeFuelFromTrend', toggle.checked).catch(err => showError(err.message));
+      if (currentMetrics) refreshView();
+    });
+  }
+
+  function renderFuelTab(data) {
+    document.getElementById('fuel-exclude-trend').checked = CostcoStore.getSetting('excludeFuelFromTrend', false);
+    document.getElementById('stat-fuel-spend').textContent = formatDollar(data.totalSpend);
+    document.getElementById('stat-fuel-fillups').textContent =
+      `${data.fillUps.length} fill-up${data.fillUps.length === 1 ? '' : 's'}`;
+    document.getElementById('stat-fuel-gallons').textContent = data.totalGallons.toLocaleString();
+    document.getElementById('stat-fuel-avg-gallons').textContent = `${data.avgGallons} gal per fill-up`;
+    document.getElementById('stat-fuel-price').textContent = data.fillUps.length > 0 ? formatGallonPrice(data.avgPrice) : '--';
+
+    const warehouses = document.getElementById('table-fuel-warehouses');
+    if (data.warehouses.length === 0) {
+      warehouses.innerHTML = '<p>No gas station fill-ups in this period.</p>';
+    } else {
+      const rows = data.warehouses.map(w => `
+        <tr>
+          <td>${escHtml(w.name)}</td>
+          <td>${w.fillUps}</td>
+          <td>${w.gallons.toLocaleString()}</td>
+          <td>${formatDollar(w.spend)}</td>
+          <td>${formatGallonPrice(w.avgPrice)}</td>
+          <td>${formatGallonPrice(w.minPrice)} &ndash; ${formatGallonPrice(w.maxPrice)}</td>
+        </tr>
+      `).join('');
+
+      warehouses.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Warehouse</th>
+              <th>Fill-Ups</th>
+              <th>Gallons</th>
+              <th>Spend</th>
+              <th>Avg $/Gal</th>
+              <th>Range</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    const fillUps = document.getElementById('table-fuel-fillups');
+    if (data.fillUps.length === 0) {
+      fillUps.innerHTML = '<p>No gas station fill-ups in this period.</p>';
+      return;
+    }
+
+    const recent = data.fillUps.slice().reverse().slice(0, FUEL_FILLUP_LIMIT);
+    const rows = recent.map(f => `
+      <tr>
+        <td>${formatDate(f.date)}</td>
+        <td>${escHtml(f.warehouse)}</td>
+        <td>${escHtml(f.grade || '')}</td>
+        <td>${f.gallons}</td>
+        <td>${formatGallonPrice(f.pricePerGallon)}</td>
+        <td>${formatDollar(f.total)}</td>
+      </tr>
+    `).join('');
+
+    fillUps.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Warehouse</th>
+            <th>Grade</th>
+            <th>Gallons</th>
+            <th>$/Gal</th>
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${data.fillUps.length > FUEL_FILLUP_LIMIT ? `<p class="section-hint">Showing the ${FUEL_FILLUP_LIMIT} most recent of ${data.fillUps.length} fill-ups.</p>` : ''}
+    `;
+  }
+
+  /* ---- Fees & Taxes ---- */
+
+  const TAX_RECEIPT_LIMIT = 50;
+
+  function renderFeesTab(data) {
+    document.getElementById('stat-tax-total').textContent = formatDollar(data.totals.tax);
+    document.getElementById('stat-tax-rate').textContent = `${data.effectiveTaxRate}% effective rate`;
+    document.getElementById('stat-fees-total').textContent = formatDollar(data.totals.fees);
+    document.getElementById('stat-non-merch-share').textContent = `${data.nonMerchandiseShare}%`;
+
+    const reasons = document.getElementById('table-surcharge-reasons');
+    if (data.reasons.length === 0) {
+      reasons.innerHTML = '<p>No surcharges in this period.</p>';
+    } else {
+      reasons.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Reason</th>
+              <th>Receipts</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.reasons.map(r => `
+              <tr>
+                <td>${escHtml(r.reason)}</td>
+                <td>${r.count}</td>
+                <td>${formatDollar(r.amount)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    const departments = document.getElementById('table-tax-departments');
+    if (data.departments.length === 0) {
+      departments.innerHTML = '<p>No data.</p>';
+    } else {
+      const hasUnknown = data.departments.some(d => d.unknown !== 0);
+      departments.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Department</th>
+              <th>Taxable</th>
+              <th>Non-Taxable</th>
+              ${hasUnknown ? '<th>Unknown</th>' : ''}
+              <th>Taxable Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.departments.map(d => `
+              <tr>
+                <td>${escHtml(d.label)}</td>
+                <td>${formatDollar(d.taxable)}</td>
+                <td>${formatDollar(d.nonTaxable)}</td>
+                ${hasUnknown ? `<td>${formatDollar(d.unknown)}</td>` : ''}
+                <td>${d.taxableShare !== null ? d.taxableShare + '%' : '--'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    const receipts = document.getElementById('table-tax-receipts');
+    if (data.receipts.length === 0) {
+      receipts.innerHTML = '<p>No receipts in this period.</p>';
+      return;
+    }
+
+    const shown = data.receipts.slice(0, TAX_RECEIPT_LIMIT);
+    receipts.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Receipt</th>
+            <th>Warehouse</th>
+            <th>Merchandise</th>
+            <th>Taxable</th>
+            <th>Tax</th>
+            <th>Effective Rate</th>
+            <th>Taxable Rate</th>
+            <th>Fees</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shown.map(r => `
+            <tr class="clickable-row" data-receipt="${escHtml(r.id)}" tabindex="0">
+              <td>${formatDate(r.date)}</td>
+              <td>${escHtml(r.receiptId || r.id)}</td>
+              <td>${escHtml(r.warehouse)}</td>
+              <td>${formatDollar(r.merchandise)}</td>
+              <td>${formatDollar(r.taxableSpend)}</td>
+              <td>${formatDollar(r.tax)}</td>
+              <td>${r.effectiveRate}%</td>
+              <td>${r.taxableRate !== null ? r.taxableRate + '%' : '--'}</td>
+              <td>${formatDollar(r.fees)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${data.receipts.length > TAX_RECEIPT_LIMIT ? `<p class="section-hint">Showing the ${TAX_RECEIPT_LIMIT} most recent of ${data.receipts.length} receipts.</p>` : ''}
+    `;
+  }
+
+  /* ---- FSA / HSA ---- */
+
+  function initFSAReport() {
+    const start = document.getElementById('fsa-plan-start');
+    start.innerHTML = CostcoAnalytics.MONTH_NAMES.map((name, i) => `<option value="${i + 1}">${name}</option>`).join('');
+    start.addEventListener('change', () => {
+      CostcoStore.setSetting('fsaPlanStartMonth', parseInt(start.value)).catch(err => showError(err.message));
+      document.getElementById('fsa-plan-year').value = 'all';
+      if (currentMetrics) refreshView();
+    });
+
+    document.getElementById('fsa-plan-year').addEventListener('change', renderFSATab);
+    document.getElementById('btn-fsa-csv').addEventListener('click', exportFSACsv);
+    document.getElementById('btn-fsa-print').addEventListener('click', printFSASummary);
+  }
+
+  /**
+   * FSA lines and plan-year totals for the selected plan year (or all).
+   */
+  function getFSASelection() {
+    const data = currentMetrics.fsa;
+    const value = document.getElementById('fsa-plan-year').value;
+    if (!value || value === 'all') return { label: 'All plan years', lines: data.lines, years: data.years };
+
+    const year = parseInt(value);
+    return {
+      label: `Plan year ${data.years.find(y => y.planYear === year).label}`,
+      lines: data.lines.filter(l => l.planYear === year),
+      years: data.years.filter(y => y.planYear === year)
+    };
+  }
+
+  function renderFSATab() {
+    const data = currentMetrics.fsa;
+    document.getElementById('fsa-plan-start').value = String(data.planStartMonth);
+
+    const yearSelect = document.getElementById('fsa-plan-year');
+    const selected = yearSelect.value;
+    const dated = data.years.filter(y => y.planYear !== null);
+    yearSelect.innerHTML = '<option value="all">All plan years</option>' +
+      dated.map(y => `<option value="${y.planYear}">${escHtml(y.label)}</option>`).join('');
+    yearSelect.value = dated.some(y => String(y.planYear) === selected) ? selected : 'all';
+
+    const selection = getFSASelection();
+    const hasLines = selection.lines.length > 0;
+    document.getElementById('btn-fsa-csv').disabled = !hasLines;
+    document.getElementById('btn-fsa-print').disabled = !hasLines;
+
+    const years = document.getElementById('table-fsa-years');
+    if (data.years.length === 0) {
+      years.innerHTML = '<p>No FSA-eligible lines in this period.</p>';
+    } else {
+      years.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Plan Year</th>
+              <th>Lines</th>
+              <th>Purchases</th>
+              <th>Returns</th>
+              <th>Net Eligible</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.years.map(y => `
+              <tr>
+                <td>${escHtml(y.label)}</td>
+                <td>${y.lineCount}</td>
+                <td>${formatDollar(y.purchases)}</td>
+                <td>${y.returns ? '-' + formatDollar(y.returns) : formatDollar(0)}</td>
+                <td><strong>${formatDollar(y.net)}</strong></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    const net = selection.lines.reduce((s, l) => s + l.amount, 0);
+    document.getElementById('fsa-summary').textContent = hasLines
+      ? `${selection.label}: ${selection.lines.length} line${selection.lines.length === 1 ? '' : 's'}, ${formatDollar(net)} net eligible.`
+      : '';
+
+    const table = document.getElementById('table-fsa-lines');
+    if (!hasLines) {
+      table.innerHTML = '<p>No FSA-eligible lines in this period.</p>';
+      return;
+    }
+
+    table.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Receipt</th>
+            <th>Item</th>
+            <th>Qty</th>
+            <th>Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${selection.lines.map(l => `
+            <tr>
+              <td>${formatDate(l.date)}</td>
+              <td>${escHtml(l.receiptId)}</td>
+              <td>${escHtml(l.item)}${l.isReturn ? ' <span class="badge badge-expired">Return</span>' : ''}</td>
+              <td>${l.quantity}</td>
+              <td>${formatDollar(l.amount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function exportFSACsv() {
+    const selection = getFSASelection();
+    const rows = [['Date', 'Receipt', 'Warehouse', 'Item Number', 'Item', 'Quantity', 'Amount', 'Type']]
+      .concat(selection.lines.map(l => [
+        formatDate(l.date), l.receiptId, l.warehouse, l.sku, l.item, l.quantity,
+        l.amount.toFixed(2), l.isReturn ? 'Return' : 'Purchase'
+      ]));
+    const suffix = selection.years.length === 1 && selection.years[0].planYear !== null
+      ? '-' + selection.years[0].planYear
+      : '';
+    downloadCsv(`fsa-eligible${suffix}.csv`, rows);
+  }
+
+  function printFSASummary() {
+    const selection = getFSASelection();
+    const net = selection.lines.reduce((s, l) => s + l.amount, 0);
+
+    printReport(`
+      <h1>FSA / HSA ELIGIBLE PURCHASES</h1>
+      <p class="print-meta">Costco Wholesale<br>${escHtml(selection.label)}<br>Printed ${formatDate(new Date())}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Receipt</th>
+            <th>Item</th>
+            <th class="print-amount">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${selection.lines.map(l => `
+            <tr>
+              <td>${formatDate(l.date)}</td>
+              <td>${escHtml(l.receiptId)}</td>
+              <td>${escHtml(l.item)}${l.quantity !== 1 ? ` x${Math.abs(l.quantity)}` : ''}${l.isReturn ? ' (RETURN)' : ''}</td>
+              <td class="print-amount">${formatDollar(l.amount)}</td>
+            </tr>
+          `).join('')}
+          ${selection.years.map((y, i) => `
+            <tr class="${i === 0 ? 'print-rule' : ''}">
+              <td colspan="3">Plan year ${escHtml(y.label)}</td>
+              <td class="print-amount">${formatDollar(y.net)}</td>
+            </tr>
+          `).join('')}
+          <tr class="print-rule print-total">
+            <td colspan="3">TOTAL ELIGIBLE</td>
+            <td class="print-amount">${formatDollar(net)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p class="print-meta">Amounts are after instant savings and before tax. Returns are netted out.</p>
+    `);
+  }
+
+  /* ---- Receipts ---- */
+
+  const RECEIPT_LIST_LIMIT = 200;
+
+  function initReceipts() {
+    document.getElementById('receipt-search').addEventListener('input', renderReceiptsTable);
+
+    const table = document.getElementById('table-receipts');
+    const open = (e) => {
+      const row = e.target.closest('[data-receipt]');
+      if (!row) return;
+      if (e.type === 'keydown' && e.key !== 'Enter') return;
+      openReceiptDetail(row.getAttribute('data-receipt'));
+    };
+    [table, document.getElementById('table-tax-receipts'), document.getElementById('table-business-receipts')].forEach(el => {
+      el.addEventListener('click', open);
+      el.addEventListener('keydown', open);
+    });
+  }
+
+  function renderReceiptsTable() {
+    if (!currentMetrics) return;
+
+    const container = document.getElementById('table-receipts');
+    const query = document.getElementById('receipt-search').value.trim().toLowerCase();
+    const receipts = query
+      ? currentMetrics.receipts.filter(r => receiptMatches(r, query))
+      : currentMetrics.receipts;
+
+    const mismatches = currentMetrics.receipts.filter(r => r.reconciles === false).length;
+    document.getElementById('receipts-summary').textContent =
+      `${receipts.length} of ${currentMetrics.receipts.length} receipts` +
+      (mismatches > 0 ? ` · ${mismatches} don't add up` : '');
+
+    if (receipts.length === 0) {
+      container.innerHTML = '<p>No receipts match.</p>';
+      return;
+    }
+
+    const rows = receipts.slice(0, RECEIPT_LIST_LIMIT).map(r => `
+      <tr class="clickable-row" data-receipt="${escHtml(r.id)}" tabindex="0">
+        <td>${formatDate(r.date)}</td>
+        <td>${escHtml(r.receiptId || r.id)}</td>
+        <td>${escHtml(r.warehouse)}</td>
+        <td>${r.itemCount}</td>
+        <td>${formatDollar(r.subtotal)}</td>
+        <td>${formatDollar(r.taxTotal)}</td>
+        <td>${r.savings > 0 ? formatDollar(r.savings) : '--'}</td>
+        <td>${formatDollar(r.finalTotal)}</td>
+        <td>${escHtml(r.paymentMethods)}</td>
+        <td>${getReconcileBadge(r)}</td>
+      </tr>
+    `).join('');
+
+    const more = receipts.length > RECEIPT_LIST_LIMIT
+      ? `<p class="section-hint">Showing the ${RECEIPT_LIST_LIMIT} most recent. Search or narrow the date range to see others.</p>`
+      : '';
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Receipt</th>
+            <th>Warehouse</th>
+            <th>Items</th>
+            <th>Subtotal</th>
+            <th>Tax</th>
+            <th>Savings</th>
+            <th>Total</th>
+            <th>Payment</th>
+            <th>Check</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${more}
+    `;
+  }
+
+  function receiptMatches(receipt, query) {
+    const haystack = [
+      receipt.receiptId, receipt.id, receipt.warehouse, receipt.paymentMethods, formatDate(receipt.date)
+    ].concat(receipt.lines.map(l => `${l.item_actual_name} ${l.item_sku}`)).join(' ').toLowerCase();
+    return haystack.includes(query);
+  }
+
+  function getReconcileBadge(receipt) {
+    if (receipt.reconciles === null) return '<span class="badge badge-expired">No total</span>';
+    return receipt.reconciles
+      ? '<span class="badge badge-anytime">OK</span>'
+      : `<span class="badge badge-urgent">Off ${formatDollar(receipt.difference)}</span>`;
+  }
+
+  function openReceiptDetail(id) {
+    // From every loaded line, so business lines and filtered-out lines still show
+    const receipt = CostcoAnalytics.computeReceipts(allRows).find(r => r.id === id);
+    if (!receipt) return;
+
+    document.getElementById('receipt-dialog-title').textContent =
+      `Receipt ${receipt.receiptId || receipt.id}`;
+
+    const meta = [formatDate(receipt.date), receipt.warehouse, receipt.type, receipt.paymentMethods]
+      .filter(Boolean).map(escHtml).join(' &middot; ');
+
+    const annotations = getAnnotations();
+    const business = getBusiness();
+    const wholeReceipt = !!business.receipts[receipt.id];
+    const lines = receipt.lines.map(l => {
+      const note = annotations.lines[l.line_key] || {};
+      const item = annotations.items[l.item_sku || l.item_name];
+      const itemTags = item && item.tags && item.tags.length > 0
+        ? `<br><span class="source-meta">Item: ${escHtml(item.tags.join(', '))}</span>`
+        : '';
+      return `
+        <tr class="${l.quantity < 0 ? 'return-row-urgent' : ''}">
+          <td>${escHtml(l.item_sku)}</td>
+          <td>${escHtml(l.item_actual_name)}</td>
+          <td>${l.quantity}</td>
+          <td>${formatDollar(l.unit_price)}</td>
+          <td>${formatDollar(l.line_total)}</td>
+          <td class="annotation-cell">
+            <input type="text" list="tag-list" data-annotation="tags" data-kind="lines" data-key="${escHtml(l.line_key)}"
+              value="${escHtml((note.tags || []).join(', '))}" aria-label="Tags">${itemTags}
+          </td>
+          <td class="annotation-cell">
+            <input type="text" data-annotation="note" data-kind="lines" data-key="${escHtml(l.line_key)}"
+              value="${escHtml(note.note)}" aria-label="Note">
+          </td>
+          <td>
+            <input type="checkbox" data-business-line="${escHtml(l.line_key)}"
+              ${wholeReceipt || business.lines[l.line_key] ? 'checked' : ''}${wholeReceipt ? ' disabled' : ''} aria-label="Business expense">
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    const check = receipt.reconciles === null
+      ? 'This receipt has no final total to check against.'
+      : receipt.reconciles
+        ? 'Line totals minus savings plus tax and fees match the final total.'
+        : `Line totals minus savings plus tax and fees come to ${formatDollar(receipt.expectedTotal)}, ` +
+          `${formatDollar(Math.abs(receipt.difference))} ${receipt.difference > 0 ? 'less' : 'more'} than the final total.`;
+
+    document.getElementById('receipt-dialog-body').innerHTML = `
+      <p class="item-meta">${meta}</p>
+      <label class="business-receipt">
+        <input type="checkbox" role="switch" data-business-receipt="${escHtml(receipt.id)}"${wholeReceipt ? ' checked' : ''}>
+        Whole receipt is a business expense
+      </label>
+      <div class="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>Item #</th>
+              <th>Description</th>
+              <th>Qty</th>
+              <th>Unit Price</th>
+              <th>Total</th>
+              <th>Tags</th>
+              <th>Note</th>
+              <th>Business</th>
+            </tr>
+          </thead>
+          <tbody>${lines}</tbody>
+        </table>
+      </div>
+      <table class="receipt-totals">
+        <tbody>
+          <tr><td>Line totals</td><td>${formatDollar(receipt.lineTotal)}</td></tr>
+          <tr><td>Subtotal (as printed)</td><td>${formatDollar(receipt.subtotal)}</td></tr>
+          <tr><td>Savings</td><td>-${formatDollar(receipt.savings)}</td></tr>
+          <tr><td>Tax</td><td>${formatDollar(receipt.taxTotal)}</td></tr>
+          ${receipt.fees ? `<tr><td>Shipping, delivery &amp; surcharges</td><td>${formatDollar(receipt.fees)}</td></tr>` : ''}
+          <tr><th>Final total</th><th>${formatDollar(receipt.finalTotal)}</th></tr>
+        </tbody>
+      </table>
+      <div role="alert" class="insight-card"${receipt.reconciles === false ? ' data-variant="warning"' : ''}>
+        ${getReconcileBadge(receipt)} ${escHtml(check)}
+      </div>
+    `;
+
+    const dialog = document.getElementById('receipt-dialog');
+    if (!dialog.open) dialog.showModal();
+  }
+
+  /* ---- Price Adjustments ---- */
+
+  function renderPriceAdjustments(data) {
+    document.getElementById('stat-adjustment-owed').textContent = formatDollar(data.totalOwed);
+    document.getElementById('stat-adjustment-count').textContent = data.open.length;
+    document.getElementById('stat-adjustment-soon').textContent = data.closingSoon;
+
+    const openContainer = document.getElementById('table-price-adjustments');
+    openContainer.innerHTML = data.open.length > 0
+      ? buildAdjustmentTable(data.open, true)
+      : '<p>No open price adjustments. Purchases from the last 30 days haven\'t been seen at a lower price.</p>';
+
+    const missedSection = document.getElementById('price-adjustments-missed');
+    missedSection.hidden = data.expired.length === 0;
+    document.getElementById('price-adjustments-missed-total').textContent =
+      `${formatDollar(data.totalMissed)} missed`;
+    document.getElementById('table-price-adjustments-missed').innerHTML =
+      data.expired.length > 0 ? buildAdjustmentTable(data.expired.slice(0, 50), false) : '';
+  }
+
+  function buildAdjustmentTable(claims, showDeadline) {
+    const rows = claims.map(c => {
+      let badge = '<span class="badge badge-expired">Closed</span>';
+      if (showDeadline) {
+        badge = c.daysRemaining <= 7
+          ? `<span class="badge badge-urgent">${c.daysRemaining}d left</span>`
+          : `<span class="badge badge-limited">${c.daysRemaining}d left</span>`;
+      }
+      const seenAt = c.lowerWarehouse ? ` at ${escHtml(c.lowerWarehouse)}` : '';
+      const saleNote = c.lowerHadSavings ? ' <span class="source-meta">(instant savings)</span>' : '';
+
+      return `
+        <tr class="clickable-row" data-item-key="${escHtml(c.key)}" tabindex="0">
+          <td>${escHtml(c.name)}</td>
+          <td>${formatDate(c.purchaseDate)}<br><span class="source-meta">Receipt ${escHtml(c.receiptId)}</span></td>
+          <td>${c.quantity}</td>
+          <td>${formatDollar(c.paidPrice)}</td>
+          <td>${formatDollar(c.lowerPrice)}${saleNote}<br><span class="source-meta">${formatDate(c.lowerDate)}${seenAt}</span></td>
+          <td>${formatDollar(c.estimate)}</td>
+          <td>${badge}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Purchased</th>
+            <th>Qty</th>
+            <th>Paid (net)</th>
+            <th>Lower Price</th>
+            <th>Est. Adjustment</th>
+            <th>Claim Window</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Budget ---- */
+
+  function getBudgets() {
+    return CostcoStore.getSetting('budgets', { overall: null, departments: {} });
+  }
+
+  function initBudgetEditor() {
+    const editor = document.getElementById('budget-editor');
+
+    editor.addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-budget]');
+      if (!input) return;
+
+      const budgets = getBudgets();
+      const amount = parseFloat(input.value);
+      const value = isNaN(amount) || amount <= 0 ? null : amount;
+      const label = input.getAttribute('data-budget');
+
+      const next = { overall: budgets.overall, departments: { ...budgets.departments } };
+      if (label === '*') {
+        next.overall = value;
+      } else if (value === null) {
+        delete next.departments[label];
+      } else {
+        next.departments[label] = value;
+      }
+
+      CostcoStore.setSetting('budgets', next).catch(err => showError(err.message));
+      refreshView();
+    });
+  }
+
+  function renderBudgetTab(data) {
+    const current = data.current;
+    const monthLabel = current ? CostcoAnalytics.formatMonthKey(current.month) : '';
+
+    document.getElementById('budget-month-label').textContent = monthLabel;
+    document.getElementById('stat-budget-total').textContent =
+      current && current.budget !== null ? formatDollar(current.budget) : '--';
+    document.getElementById('stat-budget-spent').textContent =
+      current ? formatDollar(current.spent) : '--';
+    document.getElementById('stat-budget-remaining').textContent =
+      current && current.budget !== null ? formatDollar(current.budget - current.spent) : '--';
+    document.getElementById('stat-budget-projected').textContent =
+      current ? formatDollar(current.projected) : '--';
+
+    renderBudgetCurrentTable(current);
+    renderBudgetHistoryTable(data);
+    renderBudgetEditor();
+  }
+
+  function renderBudgetCurrentTable(current) {
+    const container = document.getElementById('table-budget-current');
+    if (!current || current.departments.length === 0) {
+      container.innerHTML = '<p>No department budgets set. Add some below.</p>';
+      return;
+    }
+
+    const rows = current.departments.map(d => {
+      const pct = d.budget > 0 ? Math.round(d.spent / d.budget * 100) : 0;
+      return `
+        <tr class="${d.over ? 'budget-over' : ''}">
+          <td>${escHtml(d.label)}</td>
+          <td>${formatDollar(d.budget)}</td>
+          <td>${formatDollar(d.spent)}</td>
+          <td>${formatDollar(d.remaining)}</td>
+          <td>${current.isThisMonth ? formatDollar(d.projected) : '--'}</td>
+          <td><progress value="${Math.min(pct, 100)}" max="100"></progress> ${pct}%</td>
+        </tr>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Department</th>
+            <th>Budget</th>
+            <th>Spent</th>
+            <th>Remaining</th>
+            <th>Projected</th>
+            <th>Used</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function renderBudgetHistoryTable(data) {
+    const container = document.getElementById('table-budget-history');
+    if (!data.hasBudgets || data.months.length === 0) {
+      container.innerHTML = '<p>No budgets set.</p>';
+      return;
+    }
+
+    const count = Math.min(6, data.months.length);
+    const months = data.months.slice(-count);
+    const lines = data.departments.map(d => ({
+      label: d.label, budget: d.budget, actual: d.actual.slice(-count)
+    }));
+    if (data.overall.budget !== null) {
+      lines.push({ label: 'All spending', budget: data.overall.budget, actual: data.overall.actual.slice(-count) });
+    }
+
+    const rows = lines.map(line => `
+      <tr>
+        <td>${escHtml(line.label)}</td>
+        <td>${formatDollar(line.budget)}</td>
+        ${line.actual.map(a => `<td class="${a > line.budget ? 'price-up' : ''}">${formatDollar(a)}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Budget</th>
+            <th>Monthly</th>
+            ${months.map(mk => `<th>${CostcoAnalytics.formatMonthKey(mk)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function renderBudgetEditor() {
+    const editor = document.getElementById('budget-editor');
+    if (editor.contains(document.activeElement)) return;
+
+    const budgets = getBudgets();
+    const labels = CostcoAnalytics.getDepartmentLabels(allRows, getTaxonomy());
+    const field = (key, label, value) => `
+      <label>
+        ${escHtml(label)}
+        <input type="number" min="0" step="1" placeholder="No budget"
+          data-budget="${escHtml(key)}" value="${value != null ? value : ''}">
+      </label>
+    `;
+
+    editor.innerHTML =
+      field('*', 'Overall monthly cap', budgets.overall) +
+      labels.map(l => field(l, l, budgets.departments[l])).join('');
+  }
+
+  /* ---- Categories ---- */
+
+  function getTaxonomy() {
+    return CostcoStore.getSetting('taxonomy', { departments: {}, categories: [], rules: [] });
+  }
+
+  /**
+   * Save the taxonomy and recompute everything, since any chart, budget, or
+   * filter may group by category. A budget set on a category that no longer
+   * exists follows it to its new name.
+   */
+  function saveTaxonomy(next, renamed) {
+    const before = CostcoAnalytics.getDepartmentLabels(allRows, getTaxonomy());
+    const after = CostcoAnalytics.getDepartmentLabels(allRows, next);
+
+    if (renamed && before.includes(renamed.from) && !after.includes(renamed.from)) {
+      const budgets = getBudgets();
+      if (budgets.departments[renamed.from] != null && budgets.departments[renamed.to] == null) {
+        const departments = { ...budgets.departments, [renamed.to]: budgets.departments[renamed.from] };
+        delete departments[renamed.from];
+        CostcoStore.setSetting('budgets', { overall: budgets.overall, departments }).catch(err => showError(err.message));
+      }
+      if (filters.category === renamed.from) filters.category = renamed.to;
+    }
+
+    CostcoStore.setSetting('taxonomy', next).catch(err => showError(err.message));
+    renderDashboard();
+  }
+
+  function initTaxonomyEditor() {
+    const cleanName = value => value.replace(/\s+/g, ' ').trim();
+
+    document.getElementById('taxonomy-departments').addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-dept]');
+      if (!input) return;
+
+      const taxonomy = getTaxonomy();
+      const id = input.getAttribute('data-dept');
+      const from = CostcoAnalytics.getDeptLabel(id, taxonomy);
+      const departments = { ...taxonomy.departments };
+      const name = cleanName(input.value);
+      if (name) {
+        departments[id] = name;
+      } else {
+        delete departments[id];
+      }
+      const to = name || input.getAttribute('placeholder');
+      saveTaxonomy({ ...taxonomy, departments }, { from, to });
+    });
+
+    document.getElementById('taxonomy-rules').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-rule]');
+      if (!btn) return;
+
+      const taxonomy = getTaxonomy();
+      const index = parseInt(btn.getAttribute('data-remove-rule'));
+      saveTaxonomy({ ...taxonomy, rules: taxonomy.rules.filter((rule, i) => i !== index) });
+    });
+
+    document.getElementById('taxonomy-rule-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const type = document.getElementById('taxonomy-rule-type').value;
+      const patternInput = document.getElementById('taxonomy-rule-pattern');
+      const categoryInput = document.getElementById('taxonomy-rule-category');
+      const pattern = cleanName(patternInput.value);
+      const category = cleanName(categoryInput.value);
+      if (!pattern || !category) return;
+
+      const taxonomy = getTaxonomy();
+      patternInput.value = '';
+      saveTaxonomy({ ...taxonomy, rules: taxonomy.rules.concat({ type, pattern, category }) });
+    });
+
+    document.getElementById('taxonomy-categories').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-category]');
+      if (!btn) return;
+
+      const taxonomy = getTaxonomy();
+      const name = btn.getAttribute('data-remove-category');
+      saveTaxonomy({ ...taxonomy, categories: taxonomy.categories.filter(c => c !== name) });
+    });
+
+    document.getElementById('taxonomy-category-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('taxonomy-new-category');
+      const name = cleanName(input.value);
+      if (!name) return;
+
+      const taxonomy = getTaxonomy();
+      input.value = '';
+      if (taxonomy.categories.includes(name)) return;
+      saveTaxonomy({ ...taxonomy, categories: taxonomy.categories.concat(name).sort() });
+    });
+  }
+
+  function renderTaxonomyTab() {
+    const usage = CostcoAnalytics.computeTaxonomyUsage(allRows, getTaxonomy());
+    const ruleLabels = { name: 'Name contains', sku: 'Item # is' };
+
+    document.getElementById('taxonomy-category-list').innerHTML =
+      usage.categories.map(c => `<option value="${escHtml(c.label)}"></option>`).join('');
+
+    const departments = document.getElementById('taxonomy-departments');
+    if (!departments.contains(document.activeElement)) {
+      const rows = usage.departments.map(d => `
+        <tr>
+          <td>${escHtml(d.id)}</td>
+          <td>${escHtml(d.defaultLabel)}</td>
+          <td>
+            <input type="text" list="taxonomy-category-list" data-dept="${escHtml(d.id)}"
+              placeholder="${escHtml(d.defaultLabel)}" value="${d.renamed ? escHtml(d.label) : ''}"
+              aria-label="Name for department ${escHtml(d.id)}">
+          </td>
+          <td>${d.lines}</td>
+        </tr>
+      `).join('');
+
+      departments.innerHTML = `
+        <table class="rewards-editor-table taxonomy-table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Default Name</th>
+              <th>Shown As</th>
+              <th>Lines</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    const rules = document.getElementById('taxonomy-rules');
+    if (usage.rules.length === 0) {
+      rules.innerHTML = '<p>No rules yet. Add one below.</p>';
+    } else {
+      const rows = usage.rules.map((rule, i) => `
+        <tr>
+          <td>${i + 1}</td>
+          <td>${ruleLabels[rule.type] || rule.type}</td>
+          <td>${escHtml(rule.pattern)}</td>
+          <td>${escHtml(rule.category)}</td>
+          <td>${rule.lines}</td>
+          <td><button class="small outline" data-remove-rule="${i}">Remove</button></td>
+        </tr>
+      `).join('');
+
+      rules.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Match</th>
+              <th>Pattern</th>
+              <th>Category</th>
+              <th>Lines</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    const rows = usage.categories.map(c => `
+      <tr>
+        <td>${escHtml(c.label)}</td>
+        <td>${c.lines}</td>
+        <td>${formatDollar(c.spend)}</td>
+        <td>${c.custom ? `<button class="small outline" data-remove-category="${escHtml(c.label)}">Remove</button>` : ''}</td>
+      </tr>
+    `).join('');
+
+    document.getElementById('taxonomy-categories').innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Lines</th>
+            <th>Spend</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Tags & Notes ---- */
+
+  function getAnnotations() {
+    return CostcoStore.getSetting('annotations', { items: {}, lines: {} });
+  }
+
+  /**
+   * Comma-separated tag input to a clean, de-duplicated list.
+   */
+  function parseTags(value) {
+    const tags = value.split(',').map(t => t.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Set the tags or note of an item (kind 'items', keyed by SKU) or a receipt
+   * line (kind 'lines', keyed by line_key). Entries left empty are dropped.
+   */
+  function saveAnnotation(kind, key, field, value) {
+    const annotations = getAnnotations();
+    const group = { ...annotations[kind] };
+    const entry = { tags: [], note: '', ...group[key], [field]: value };
+    if (entry.tags.length === 0 && !entry.note) {
+      delete group[key];
+    } else {
+      group[key] = entry;
+    }
+
+    CostcoStore.setSetting('annotations', { ...annotations, [kind]: group }).catch(err => showError(err.message));
+    renderTagOptions();
+    refreshView();
+  }
+
+  function initAnnotations() {
+    ['item-dialog-notes', 'receipt-dialog-body'].forEach(id => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const input = e.target.closest('[data-annotation]');
+        if (!input) return;
+
+        const field = input.getAttribute('data-annotation');
+        const value = field === 'tags' ? parseTags(input.value) : input.value.trim();
+        if (field === 'tags') input.value = value.join(', ');
+        saveAnnotation(input.getAttribute('data-kind'), input.getAttribute('data-key'), field, value);
+      });
+    });
+
+    document.getElementById('table-tags').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-filter-tag]');
+      if (!btn) return;
+
+      filters.tag = btn.getAttribute('data-filter-tag');
+      document.getElementById('filter-tag').value = filters.tag;
+      refreshView();
+    });
+  }
+
+  function renderTagsTab(data) {
+    const tagged = data.tags.reduce((s, t) => s + t.spend, 0);
+    document.getElementById('tags-summary').textContent = data.tags.length > 0
+      ? `${data.tags.length} tag${data.tags.length === 1 ? '' : 's'} in this period; ${formatDollar(data.untaggedSpend)} of spending is untagged.`
+      : '';
+
+    const table = document.getElementById('table-tags');
+    if (data.tags.length === 0) {
+      table.innerHTML = '<p>No tagged purchases in this period.</p>';
+    } else {
+      const rows = data.tags.map(t => `
+        <tr>
+          <td>${escHtml(t.tag)}</td>
+          <td>${t.items}</td>
+          <td>${t.lines}</td>
+          <td>${formatDollar(t.spend)}</td>
+          <td>${tagged > 0 ? Math.round(t.spend / tagged * 100) : 0}%</td>
+          <td>${filters.tag === t.tag ? '' : `<button class="small outline" data-filter-tag="${escHtml(t.tag)}">Filter</button>`}</td>
+        </tr>
+      `).join('');
+
+      table.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Tag</th>
+              <th>Items</th>
+              <th>Lines</th>
+              <th>Spend</th>
+              <th>Share</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    const annotated = document.getElementById('table-annotations');
+    if (data.annotated.length === 0) {
+      annotated.innerHTML = '<p>No tags or notes on purchases in this period.</p>';
+      return;
+    }
+
+    const rows = data.annotated.map(a => `
+      <tr class="clickable-row" data-item-key="${escHtml(a.itemKey)}" tabindex="0">
+        <td>${escHtml(a.name)}${a.sku ? `<br><span class="source-meta">Item #${escHtml(a.sku)}</span>` : ''}</td>
+        <td>${a.kind === 'item' ? 'Every purchase' : `${formatDate(a.date)} &middot; Receipt ${escHtml(a.receiptId)}`}</td>
+        <td>${escHtml(a.tags.join(', '))}</td>
+        <td>${escHtml(a.note)}</td>
+      </tr>
+    `).join('');
+
+    annotated.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Applies To</th>
+            <th>Tags</th>
+            <th>Note</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /* ---- Household ---- */
+
+  function getHousehold() {
+    return CostcoStore.getSetting('household', { members: [], items: {}, categories: {}, payers: {}, defaultPayer: '' });
+  }
+
+  function saveHousehold(next) {
+    CostcoStore.setSetting('household', next).catch(err => showError(err.message));
+    refreshView();
+  }
+
+  /**
+   * Set one member's weight in an item or category split; a split with no
+   * weights left is removed so the line falls back to the next level.
+   * @param {'items'|'categories'} group
+   */
+  function setSplitWeight(group, key, member, value) {
+    const household = getHousehold();
+    const weight = parseFloat(value);
+    const split = { ...(household[group] || {})[key] };
+    if (isNaN(weight) || weight <= 0) {
+      delete split[member];
+    } else {
+      split[member] = weight;
+    }
+
+    const next = { ...household[group] };
+    if (Object.keys(split).length === 0) {
+      delete next[key];
+    } else {
+      next[key] = split;
+    }
+    saveHousehold({ ...household, [group]: next });
+  }
+
+  function initHousehold() {
+    document.getElementById('household-member-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('household-new-member');
+      const name = input.value.replace(/\s+/g, ' ').trim();
+      if (!name) return;
+
+      const household = getHousehold();
+      input.value = '';
+      if (household.members.includes(name)) return;
+      saveHousehold({ ...household, members: household.members.concat(name) });
+    });
+
+    document.getElementById('household-members').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-member]');
+      if (!btn) return;
+
+      const household = getHousehold();
+      const name = btn.getAttribute('data-remove-member');
+      const without = (group) => {
+        const next = {};
+        Object.entries(group || {}).forEach(([key, split]) => {
+          const rest = { ...split };
+          delete rest[name];
+          if (Object.keys(rest).length > 0) next[key] = rest;
+        });
+        return next;
+      };
+      const payers = {};
+      Object.entries(household.payers || {}).forEach(([method, member]) => {
+        if (member !== name) payers[method] = member;
+      });
+
+      saveHousehold({
+        members: household.members.filter(m => m !== name),
+        items: without(household.items),
+        categories: without(household.categories),
+        payers,
+        defaultPayer: household.defaultPayer === name ? '' : household.defaultPayer
+      });
+    });
+
+    document.getElementById('household-payers').addEventListener('change', (e) => {
+      const select = e.target.closest('select[data-payer-method]');
+      if (!select) return;
+
+      const household = getHousehold();
+      const method = select.getAttribute('data-payer-method');
+      if (method === '*') {
+        saveHousehold({ ...household, defaultPayer: select.value });
+        return;
+      }
+      const payers = { ...household.payers };
+      if (select.value) {
+        payers[method] = select.value;
+      } else {
+        delete payers[method];
+      }
+      saveHousehold({ ...household, payers });
+    });
+
+    document.getElementById('household-categories').addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-split-category]');
+      if (!input) return;
+      setSplitWeight('categories', input.getAttribute('data-split-category'), input.getAttribute('data-member'), input.value);
+    });
+
+    ['household-items', 'item-dialog-split'].forEach(id => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-split-item]');
+        if (!input) return;
+        setSplitWeight('items', input.getAttribute('data-split-item'), input.getAttribute('data-member'), input.value);
+      });
+    });
+
+    document.getElementById('household-items').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-split]');
+      if (!btn) return;
+
+      const household = getHousehold();
+      const items = { ...household.items };
+      delete items[btn.getAttribute('data-remove-split')];
+      saveHousehold({ ...household, items });
+    });
+  }
+
+  function buildSplitInputs(attr, key, split, members) {
+    return members.map(m => `
+      <input type="number" min="0" step="any" placeholder="0" ${attr}="${escHtml(key)}" data-member="${escHtml(m)}"
+        value="${split && split[m] != null ? split[m] : ''}" aria-label="${escHtml(m)} weight">
+    `);
+  }
+
+  function renderItemSplit(key) {
+    const container = document.getElementById('item-dialog-split');
+    const household = getHousehold();
+    if (household.members.length < 2) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const inputs = buildSplitInputs('data-split-item', key, (household.items || {})[key], household.members);
+    container.innerHTML = `
+      <span>Split between</span>
+      ${household.members.map((m, i) => `<label>${escHtml(m)} ${inputs[i]}</label>`).join('')}
+      <span class="source-meta">Leave empty to use the category split.</span>
+    `;
+  }
+
+  function renderHouseholdTab(data) {
+    const household = getHousehold();
+    const members = household.members;
+    const range = getEffectiveRange();
+
+    document.getElementById('household-summary').textContent = !data.hasMembers
+      ? 'Add household members below to split spending between them.'
+      : `${formatDate(range.start)} – ${formatDate(range.end)}: ${formatDollar(data.total)} spent, after savings and including tax. ` +
+        'Change the date range above to settle a different period.';
+
+    const settlement = document.getElementById('household-settlement');
+    if (!data.hasMembers || members.length < 2) {
+      settlement.innerHTML = '';
+    } else if (data.transfers.length === 0) {
+      settlement.innerHTML = '<div role="alert" class="insight-card" data-variant="success">Everyone is square for this period.</div>';
+    } else {
+      settlement.innerHTML = data.transfers.map(t => `
+        <div role="alert" class="insight-card">
+          <strong>${escHtml(t.from)}</strong> pays <strong>${escHtml(t.to)}</strong> ${formatDollar(t.amount)}
+        </div>
+      `).join('');
+    }
+
+    const table = document.getElementById('table-household-members');
+    table.innerHTML = !data.hasMembers ? '' : `
+      <table>
+        <thead>
+          <tr>
+            <th>Member</th>
+            <th>Share of Spend</th>
+            <th>Paid</th>
+            <th>Balance</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${data.members.map(m => `
+            <tr>
+              <td>${escHtml(m.name)}</td>
+              <td>${formatDollar(m.share)}</td>
+              <td>${formatDollar(m.paid)}</td>
+              <td class="${m.balance < 0 ? 'price-up' : 'price-down'}">${m.balance === 0 ? 'Square' : (m.balance < 0 ? 'owes ' : 'is owed ') + formatDollar(Math.abs(m.balance))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    document.getElementById('household-members').innerHTML = members.map(m => `
+      <li>
+        <span><strong>${escHtml(m)}</strong></span>
+        <button class="small outline" data-remove-member="${escHtml(m)}" aria-label="Remove ${escHtml(m)}">Remove</button>
+      </li>
+    `).join('');
+
+    renderHouseholdPayers(household);
+    renderHouseholdSplits(household, data);
   }
 
-  /* ---- Frequency Table ---- */
-
-  function renderFrequencyTable(data) {
-    const container = document.getElementById('table-frequency');
-    if (data.length === 0) {
-      container.innerHTML = '<p>No purchase data.</p>';
+  function renderHouseholdPayers(household) {
+    const container = document.getElementById('household-payers');
+    if (container.contains(document.activeElement)) return;
+    if (household.members.length === 0) {
+      container.innerHTML = '<p>No members yet.</p>';
       return;
     }
 
-    const rows = data.slice(0, 50).map(item => `
+    const methods = new Set();
+    allRows.forEach(r => CostcoAnalytics.getPaymentMethods(r).forEach(m => methods.add(m)));
+    const options = (selected, blank) =>
+      `<option value="">${blank}</option>` +
+      household.members.map(m => `<option value="${escHtml(m)}"${m === selected ? ' selected' : ''}>${escHtml(m)}</option>`).join('');
+
+    const rows = Array.from(methods).sort().map(method => `
       <tr>
-        <td>${escHtml(item.name)}</td>
-        <td>${item.count}</td>
-        <td>${formatDollar(item.totalSpent)}</td>
-        <td>${formatDate(item.firstDate)}</td>
-        <td>${formatDate(item.lastDate)}</td>
+        <td>${escHtml(method)}</td>
+        <td><select data-payer-method="${escHtml(method)}" aria-label="Payer for ${escHtml(method)}">${options((household.payers || {})[method], 'Default payer')}</select></td>
       </tr>
     `).join('');
 
@@ -177,50 +3054,91 @@ const CostcoApp = (() => {
       <table>
         <thead>
           <tr>
-            <th>Item</th>
-            <th>Times Bought</th>
-            <th>Total Spent</th>
-            <th>First Purchase</th>
-            <th>Last Purchase</th>
+            <th>Payment Method</th>
+            <th>Paid By</th>
           </tr>
         </thead>
-        <tbody>${rows}</tbody>
+        <tbody>
+          ${rows}
+          <tr>
+            <td><em>Default payer</em> <span class="source-meta">(other methods)</span></td>
+            <td><select data-payer-method="*" aria-label="Default payer">${options(household.defaultPayer, escHtml(household.members[0]) + ' (first member)')}</select></td>
+          </tr>
+        </tbody>
       </table>
     `;
   }
 
-  /* ---- Price Changes Table ---- */
+  function renderHouseholdSplits(household, data) {
+    const members = household.members;
+    const categoriesEl = document.getElementById('household-categories');
+    const itemsEl = document.getElementById('household-items');
 
-  function renderPriceChangesTable(data) {
-    const container = document.getElementById('table-price-changes');
-    if (data.length === 0) {
-      container.innerHTML = '<p>No price changes detected across your purchase history.</p>';
+    if (members.length < 2) {
+      categoriesEl.innerHTML = '<p>Add at least two members to split categories.</p>';
+      itemsEl.innerHTML = '';
       return;
     }
 
-    const rows = data.map(item => {
-      const cls = item.change > 0 ? 'price-up' : 'price-down';
-      const arrow = item.change > 0 ? '&#9650;' : '&#9660;';
+    const header = members.map(m => `<th>${escHtml(m)}</th>`).join('');
+
+    if (!categoriesEl.contains(document.activeElement)) {
+      const spend = {};
+      data.categories.forEach(c => { spend[c.label] = c; });
+      const labels = Array.from(new Set(data.categories.map(c => c.label).concat(Object.keys(household.categories || {}))));
+
+      const rows = labels.map(label => {
+        const inputs = buildSplitInputs('data-split-category', label, (household.categories || {})[label], members);
+        const amounts = spend[label] ? spend[label].members : [];
+        return `
+          <tr>
+            <td>${escHtml(label)}</td>
+            <td>${spend[label] ? formatDollar(spend[label].spend) : '--'}</td>
+            ${inputs.map((input, i) => `<td>${input}<br><span class="source-meta">${amounts[i] != null ? formatDollar(amounts[i]) : ''}</span></td>`).join('')}
+          </tr>
+        `;
+      }).join('');
+
+      categoriesEl.innerHTML = `
+        <table class="rewards-editor-table">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Spend</th>
+              ${header}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    if (itemsEl.contains(document.activeElement)) return;
+    const keys = Object.keys(household.items || {});
+    if (keys.length === 0) {
+      itemsEl.innerHTML = '<p>No item splits yet.</p>';
+      return;
+    }
+
+    const rows = keys.map(key => {
+      const line = allRows.find(r => (r.item_sku || r.item_name) === key);
+      const inputs = buildSplitInputs('data-split-item', key, household.items[key], members);
       return `
         <tr>
-          <td>${escHtml(item.name)}</td>
-          <td>${formatDollar(item.oldPrice)}</td>
-          <td>${formatDollar(item.newPrice)}</td>
-          <td class="${cls}">${arrow} ${item.change > 0 ? '+' : ''}${formatDollar(item.change)} (${item.changePercent > 0 ? '+' : ''}${item.changePercent}%)</td>
-          <td>${formatDate(item.firstDate)} &rarr; ${formatDate(item.lastDate)}</td>
+          <td>${escHtml(line ? line.item_actual_name : key)}${line && line.item_sku ? `<br><span class="source-meta">Item #${escHtml(key)}</span>` : ''}</td>
+          ${inputs.map(input => `<td>${input}</td>`).join('')}
+          <td><button class="small outline" data-remove-split="${escHtml(key)}">Remove</button></td>
         </tr>
       `;
     }).join('');
 
-    container.innerHTML = `
-      <table>
+    itemsEl.innerHTML = `
+      <table class="rewards-editor-table">
         <thead>
           <tr>
             <th>Item</th>
-            <th>Old Price</th>
-            <th>New Price</th>
-            <th>Change</th>
-            <th>Period</th>
+            ${header}
+            <th></th>
           </tr>
         </thead>
         <tbody>${rows}</tbody>
@@ -228,207 +3146,409 @@ const CostcoApp = (() => {
     `;
   }
 
-  /* ---- Returns Tab ---- */
+  /* ---- Business Expenses ---- */
 
-  function renderReturnsTab(metrics) {
-    document.getElementById('stat-total-refund').textContent =
-      formatDollar(metrics.summary.totalReturnAmount);
+  function getBusiness() {
+    return CostcoStore.getSetting('business', { receipts: {}, lines: {} });
+  }
 
-    const totalItems = metrics.summary.totalItemsPurchased + metrics.summary.totalItemsReturned;
-    const rate = totalItems > 0
-      ? (metrics.summary.totalItemsReturned / totalItems * 100).toFixed(1)
-      : '0.0';
-    document.getElementById('stat-return-rate').textContent = rate + '%';
+  /**
+   * Mark or unmark a receipt (kind 'receipts', by receipt key) or a single
+   * line (kind 'lines', by line_key) as a business expense.
+   */
+  function setBusiness(kind, key, isBusiness) {
+    const business = getBusiness();
+    const group = { ...business[kind] };
+    if (isBusiness) {
+      group[key] = true;
+    } else {
+      delete group[key];
+    }
+    CostcoStore.setSetting('business', { ...business, [kind]: group }).catch(err => showError(err.message));
+    refreshView();
+  }
 
-    const container = document.getElementById('table-returns');
-    const data = metrics.returnsTable;
+  function initBusiness() {
+    document.getElementById('receipt-dialog-body').addEventListener('change', (e) => {
+      const line = e.target.closest('input[data-business-line]');
+      if (line) {
+        setBusiness('lines', line.getAttribute('data-business-line'), line.checked);
+        return;
+      }
 
-    if (data.length === 0) {
-      container.innerHTML = '<p>No returns found in your data.</p>';
+      const receipt = e.target.closest('input[data-business-receipt]');
+      if (!receipt) return;
+      setBusiness('receipts', receipt.getAttribute('data-business-receipt'), receipt.checked);
+      document.querySelectorAll('#receipt-dialog-body input[data-business-line]').forEach(box => {
+        box.checked = receipt.checked || !!getBusiness().lines[box.getAttribute('data-business-line')];
+        box.disabled = receipt.checked;
+      });
+    });
+
+    document.getElementById('business-period').addEventListener('change', renderBusinessTab);
+    document.getElementById('btn-business-csv').addEventListener('click', exportBusinessCsv);
+    document.getElementById('btn-business-print').addEventListener('click', printBusinessReport);
+  }
+
+  /**
+   * Business receipts for the date range, ignoring the business toggle and
+   * the other dashboard filters, narrowed to the month picked in the tab.
+   */
+  function getBusinessSelection() {
+    const data = CostcoAnalytics.computeBusiness(
+      CostcoAnalytics.filterByDateRange(allRows, filters.dateRange), getBusiness(), currentMetrics.lineSavings);
+    const value = document.getElementById('business-period').value;
+    const month = data.months.find(m => m.key === value);
+    if (!month) return { data, label: 'All months in range', receipts: data.receipts, total: data.total };
+    return {
+      data,
+      label: month.label,
+      month: month.key,
+      receipts: data.receipts.filter(r => r.month === month.key),
+      total: month.total
+    };
+  }
+
+  function renderBusinessTab() {
+    document.getElementById('filter-exclude-business').checked = CostcoStore.getSetting('excludeBusiness', false);
+
+    const periodSelect = document.getElementById('business-period');
+    const selected = periodSelect.value;
+    const { data } = getBusinessSelection();
+    periodSelect.innerHTML = '<option value="all">All months in range</option>' +
+      data.months.map(m => `<option value="${m.key}">${escHtml(m.label)}</option>`).join('');
+    periodSelect.value = data.months.some(m => m.key === selected) ? selected : 'all';
+
+    const selection = getBusinessSelection();
+    const hasReceipts = selection.receipts.length > 0;
+    document.getElementById('btn-business-csv').disabled = !hasReceipts;
+    document.getElementById('btn-business-print').disabled = !hasReceipts;
+
+    const months = document.getElementById('table-business-months');
+    months.innerHTML = data.months.length === 0
+      ? '<p>No business expenses in this date range.</p>'
+      : `
+        <table>
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Receipts</th>
+              <th>Items</th>
+              <th>Tax</th>
+              <th>Fees</th>
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.months.map(m => `
+              <tr>
+                <td>${escHtml(m.label)}</td>
+                <td>${m.receiptCount}</td>
+                <td>${formatDollar(m.subtotal)}</td>
+                <td>${formatDollar(m.tax)}</td>
+                <td>${formatDollar(m.fees)}</td>
+                <td><strong>${formatDollar(m.total)}</strong></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+
+    document.getElementById('business-summary').textContent = hasReceipts
+      ? `${selection.label}: ${selection.receipts.length} receipt${selection.receipts.length === 1 ? '' : 's'}, ${formatDollar(selection.total)} to reimburse.`
+      : '';
+
+    const table = document.getElementById('table-business-receipts');
+    if (!hasReceipts) {
+      table.innerHTML = '<p>No business expenses in this period.</p>';
       return;
     }
 
-    const rows = data.map(item => `
-      <tr>
-        <td>${formatDate(item.date)}</td>
-        <td>${escHtml(item.name)}</td>
-        <td>${item.quantity}</td>
-        <td>${formatDollar(item.refund)}</td>
-      </tr>
-    `).join('');
-
-    container.innerHTML = `
+    table.innerHTML = `
       <table>
         <thead>
           <tr>
             <th>Date</th>
-            <th>Item</th>
-            <th>Qty</th>
-            <th>Refund</th>
+            <th>Receipt</th>
+            <th>Warehouse</th>
+            <th>Items</th>
+            <th>Subtotal</th>
+            <th>Tax</th>
+            <th>Fees</th>
+            <th>Total</th>
           </tr>
         </thead>
-        <tbody>${rows}</tbody>
+        <tbody>
+          ${selection.receipts.map(r => `
+            <tr class="clickable-row" data-receipt="${escHtml(r.id)}" tabindex="0">
+              <td>${formatDate(r.date)}</td>
+              <td>${escHtml(r.receiptId)}${r.wholeReceipt ? ' <span class="badge badge-anytime">Whole receipt</span>' : ''}</td>
+              <td>${escHtml(r.warehouse)}</td>
+              <td>${r.items.map(i => escHtml(i.name) + (i.quantity !== 1 ? ` x${i.quantity}` : '')).join('<br>')}</td>
+              <td>${formatDollar(r.subtotal)}</td>
+              <td>${formatDollar(r.tax)}</td>
+              <td>${formatDollar(r.fees)}</td>
+              <td>${formatDollar(r.total)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
       </table>
     `;
   }
 
-  /* ---- Top Discounts Table ---- */
-
-  function renderTopDiscountsTable(data) {
-    const container = document.getElementById('table-top-discounts');
-
-    if (data.length === 0) {
-      container.innerHTML = '<p>No discount data found.</p>';
-      return;
-    }
+  function exportBusinessCsv() {
+    const selection = getBusinessSelection();
+    const rows = [['Date', 'Receipt', 'Warehouse', 'Item Number', 'Item', 'Quantity', 'Amount', 'Receipt Subtotal', 'Tax Allocated', 'Fees Allocated', 'Receipt Total']];
+    selection.receipts.forEach(r => {
+      r.items.forEach((item, i) => {
+        const first = i === 0;
+        rows.push([
+          formatDate(r.date), r.receiptId, r.warehouse, item.sku, item.name, item.quantity, item.amount.toFixed(2),
+          first ? r.subtotal.toFixed(2) : '', first ? r.tax.toFixed(2) : '', first ? r.fees.toFixed(2) : '', first ? r.total.toFixed(2) : ''
+        ]);
+      });
+    });
+    rows.push(['', '', '', '', 'TOTAL', '', '', '', '', '', selection.total.toFixed(2)]);
+    downloadCsv(`business-expenses${selection.month ? '-' + selection.month : ''}.csv`, rows);
+  }
 
-    const rows = data.map(item => `
-      <tr>
-        <td>${escHtml(item.name)}</td>
-        <td>${formatDollar(item.unitPrice)}</td>
-        <td>${formatDollar(item.savings)}</td>
-        <td>${item.discountPct}%</td>
-      </tr>
-    `).join('');
+  function printBusinessReport() {
+    const selection = getBusinessSelection();
+    const sumOf = field => selection.receipts.reduce((s, r) => s + r[field], 0);
 
-    container.innerHTML = `
+    printReport(`
+      <h1>EXPENSE REIMBURSEMENT</h1>
+      <p class="print-meta">Costco Wholesale<br>${escHtml(selection.label)}<br>Printed ${formatDate(new Date())}</p>
       <table>
         <thead>
           <tr>
+            <th>Date</th>
+            <th>Receipt</th>
             <th>Item</th>
-            <th>Unit Price</th>
-            <th>Savings</th>
-            <th>Discount %</th>
+            <th class="print-amount">Amount</th>
           </tr>
         </thead>
-        <tbody>${rows}</tbody>
+        <tbody>
+          ${selection.receipts.map(r => `
+            ${r.items.map((item, i) => `
+              <tr class="${i === 0 ? 'print-rule' : ''}">
+                <td>${i === 0 ? formatDate(r.date) : ''}</td>
+                <td>${i === 0 ? `${escHtml(r.receiptId)}<br>${escHtml(r.warehouse)}` : ''}</td>
+                <td>${escHtml(item.name)}${item.quantity !== 1 ? ` x${item.quantity}` : ''}</td>
+                <td class="print-amount">${formatDollar(item.amount)}</td>
+              </tr>
+            `).join('')}
+            <tr>
+              <td></td>
+              <td></td>
+              <td>Tax${r.fees ? ' and fees' : ''}</td>
+              <td class="print-amount">${formatDollar(r.tax + r.fees)}</td>
+            </tr>
+          `).join('')}
+          <tr class="print-rule">
+            <td colspan="3">Items</td>
+            <td class="print-amount">${formatDollar(sumOf('subtotal'))}</td>
+          </tr>
+          <tr>
+            <td colspan="3">Tax</td>
+            <td class="print-amount">${formatDollar(sumOf('tax'))}</td>
+          </tr>
+          <tr>
+            <td colspan="3">Fees</td>
+            <td class="print-amount">${formatDollar(sumOf('fees'))}</td>
+          </tr>
+          <tr class="print-rule print-total">
+            <td colspan="3">TOTAL TO REIMBURSE</td>
+            <td class="print-amount">${formatDollar(selection.total)}</td>
+          </tr>
+        </tbody>
       </table>
-    `;
+      <p class="print-meta">Items are after instant savings. Tax is allocated from each receipt's tax total by the share of its taxable lines.</p>
+    `);
   }
 
-  /* ---- Insights ---- */
-
-  function renderInsights(insights) {
-    const container = document.getElementById('insights-list');
+  /* ---- Shopping List ---- */
 
-    if (insights.length === 0) {
-      container.innerHTML = '<p>Upload more data to get spending insights.</p>';
-      return;
-    }
+  function getShoppingList() {
+    return CostcoStore.getSetting('shoppingList', { horizonDays: 7, checked: {} });
+  }
 
-    container.innerHTML = insights.map(insight => {
-      const variant = insight.type === 'warning' ? 'warning'
-        : insight.type === 'success' ? 'success' : '';
-      const variantAttr = variant ? ` data-variant="${variant}"` : '';
+  function saveShoppingList(next) {
+    CostcoStore.setSetting('shoppingList', next).catch(err => showError(err.message));
+    renderReplenishment(currentMetrics.replenishment);
+  }
 
-      return `
-        <div role="alert"${variantAttr} class="insight-card">
-          <strong>${escHtml(insight.title)}</strong> &mdash; ${escHtml(insight.text)}
-        </div>
-      `;
-    }).join('');
+  /**
+   * An item stays checked off until it shows up on a newer receipt.
+   */
+  function isCheckedOff(item, list) {
+    return list.checked[item.key] === item.lastPurchase.getTime();
   }
 
-  /* ---- Potential Returns ---- */
+  function getShoppingItems() {
+    const list = getShoppingList();
+    return currentMetrics.replenishment
+      .filter(item => item.daysLeft <= list.horizonDays)
+      .map(item => ({ ...item, checked: isCheckedOff(item, list) }));
+  }
 
-  function renderPotentialReturns(data) {
-    // Summary cards
-    document.getElementById('stat-potential-refund').textContent =
-      formatDollar(data.totalPotentialRefund);
-    document.getElementById('stat-returnable-items').textContent =
-      data.totalReturnableItems;
-    document.getElementById('stat-urgent-items').textContent =
-      data.urgent.length;
+  function initShoppingList() {
+    document.getElementById('shopping-horizon').addEventListener('change', (e) => {
+      saveShoppingList({ ...getShoppingList(), horizonDays: parseInt(e.target.value) });
+    });
 
-    // Urgent section (90-day window closing)
-    const urgentSection = document.getElementById('potential-returns-urgent');
-    if (data.urgent.length > 0) {
-      urgentSection.hidden = false;
-      document.getElementById('table-urgent-returns').innerHTML =
-        buildReturnableTable(data.urgent, true);
-    }
+    document.getElementById('table-shopping-list').addEventListener('change', (e) => {
+      const box = e.target.closest('input[data-shopping-item]');
+      if (!box) return;
 
-    // Category sections
-    const catContainer = document.getElementById('potential-returns-categories');
-    const catHtml = Object.entries(data.categories)
-      .sort((a, b) => b[1].totalRefund - a[1].totalRefund)
-      .map(([category, catData]) => {
-        const items = catData.items.filter(i => i.status !== 'expired');
-        if (items.length === 0) return '';
-        return `
-          <div class="chart-row">
-            <div class="table-container">
-              <h3>${escHtml(category)} <span class="category-total">${formatDollar(catData.totalRefund)} potential refund</span></h3>
-              <div class="table-scroll">
-                ${buildReturnableTable(items, false)}
-              </div>
-            </div>
-          </div>
-        `;
-      }).join('');
-    catContainer.innerHTML = catHtml;
+      const list = getShoppingList();
+      const checked = { ...list.checked };
+      const key = box.getAttribute('data-shopping-item');
+      if (box.checked) {
+        checked[key] = parseInt(box.getAttribute('data-last-purchase'));
+      } else {
+        delete checked[key];
+      }
+      saveShoppingList({ ...list, checked });
+    });
 
-    // Expired section
-    const expiredSection = document.getElementById('potential-returns-expired');
-    if (data.expired.length > 0) {
-      expiredSection.hidden = false;
-      document.getElementById('table-expired-returns').innerHTML =
-        buildReturnableTable(data.expired, true);
-    }
+    document.getElementById('btn-shopping-clear').addEventListener('click', () => {
+      saveShoppingList({ ...getShoppingList(), checked: {} });
+    });
+    document.getElementById('btn-shopping-csv').addEventListener('click', exportShoppingCsv);
+    document.getElementById('btn-shopping-print').addEventListener('click', printShoppingList);
   }
 
-  function buildReturnableTable(items, showDept) {
-    const rows = items.map(item => {
-      const statusBadge = getStatusBadge(item.status, item.daysRemaining);
-      const deptCol = showDept ? `<td>${escHtml(item.department)}</td>` : '';
+  function getRunOutBadge(daysLeft) {
+    if (daysLeft < 0) return `<span class="badge badge-urgent">${-daysLeft}d overdue</span>`;
+    if (daysLeft === 0) return '<span class="badge badge-urgent">Today</span>';
+    return `<span class="badge ${daysLeft <= 7 ? 'badge-limited' : 'badge-anytime'}">In ${daysLeft}d</span>`;
+  }
 
-      return `
-        <tr class="return-row-${item.status}">
-          <td>${escHtml(item.name)}</td>
-          ${deptCol}
-          <td>${item.quantity}</td>
-          <td>${formatDollar(item.unitPrice)}</td>
-          <td>${formatDollar(item.refundEstimate)}</td>
-          <td>${formatDate(item.purchaseDate)}</td>
-          <td>${item.daysSincePurchase}d ago</td>
-          <td>${statusBadge}</td>
-        </tr>
+  function renderReplenishment(items) {
+    const list = getShoppingList();
+    document.getElementById('shopping-horizon').value = String(list.horizonDays);
+
+    const shopping = getShoppingItems();
+    const remaining = shopping.filter(i => !i.checked).length;
+    document.getElementById('btn-shopping-csv').disabled = shopping.length === 0;
+    document.getElementById('btn-shopping-print').disabled = remaining === 0;
+    document.getElementById('btn-shopping-clear').disabled = !shopping.some(i => i.checked);
+    document.getElementById('shopping-summary').textContent = shopping.length > 0
+      ? `${remaining} of ${shopping.length} item${shopping.length === 1 ? '' : 's'} left to buy, most urgent first. Checked items stay checked until they show up on a new receipt.`
+      : '';
+
+    const table = document.getElementById('table-shopping-list');
+    if (shopping.length === 0) {
+      table.innerHTML = items.length > 0
+        ? '<p>Nothing is predicted to run out before your next trip.</p>'
+        : '<p>Not enough purchase history yet. Items need to be bought on at least three different days.</p>';
+    } else {
+      table.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Got It</th>
+              <th>Item</th>
+              <th>Category</th>
+              <th>Usual Qty</th>
+              <th>Last Bought</th>
+              <th>Runs Out</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${shopping.map(i => `
+              <tr class="${i.checked ? 'shopping-checked' : ''}">
+                <td>
+                  <input type="checkbox" data-shopping-item="${escHtml(i.key)}" data-last-purchase="${i.lastPurchase.getTime()}"
+                    ${i.checked ? 'checked' : ''} aria-label="Got ${escHtml(i.name)}">
+                </td>
+                <td>${escHtml(i.name)}${i.sku ? `<br><span class="source-meta">Item #${escHtml(i.sku)}</span>` : ''}</td>
+                <td>${escHtml(i.category)}</td>
+                <td>${i.usualQuantity}</td>
+                <td>${formatDate(i.lastPurchase)}</td>
+                <td>${formatDate(i.runOutDate)}</td>
+                <td>${getRunOutBadge(i.daysLeft)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
       `;
-    }).join('');
+    }
 
-    const deptHeader = showDept ? '<th>Category</th>' : '';
+    const staples = document.getElementById('table-replenishment');
+    if (items.length === 0) {
+      staples.innerHTML = '<p>No staples in this period.</p>';
+      return;
+    }
 
-    return `
+    staples.innerHTML = `
       <table>
         <thead>
           <tr>
             <th>Item</th>
-            ${deptHeader}
-            <th>Qty</th>
-            <th>Unit Price</th>
-            <th>Est. Refund</th>
-            <th>Purchased</th>
-            <th>Age</th>
-            <th>Status</th>
+            <th>Purchase Days</th>
+            <th>Usual Interval</th>
+            <th>Use per Week</th>
+            <th>Last Bought</th>
+            <th>Runs Out</th>
+            <th>Days Left</th>
           </tr>
         </thead>
-        <tbody>${rows}</tbody>
+        <tbody>
+          ${items.map(i => `
+            <tr class="clickable-row" data-item-key="${escHtml(i.key)}" tabindex="0">
+              <td>${escHtml(i.name)}</td>
+              <td>${i.purchaseDays}</td>
+              <td>${i.intervalDays}d <span class="source-meta">(${i.minDays}–${i.maxDays})</span></td>
+              <td>${(i.perDay * 7).toFixed(1)}</td>
+              <td>${formatDate(i.lastPurchase)} <span class="source-meta">x${i.lastQuantity}</span></td>
+              <td>${formatDate(i.runOutDate)}</td>
+              <td>${getRunOutBadge(i.daysLeft)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
       </table>
     `;
   }
 
-  function getStatusBadge(status, daysRemaining) {
-    switch (status) {
-      case 'urgent':
-        return `<span class="badge badge-urgent">${daysRemaining}d left</span>`;
-      case 'limited':
-        return `<span class="badge badge-limited">${daysRemaining}d left</span>`;
-      case 'expired':
-        return '<span class="badge badge-expired">Expired</span>';
-      case 'anytime':
-      default:
-        return '<span class="badge badge-anytime">Anytime</span>';
-    }
+  function exportShoppingCsv() {
+    const rows = [['Item Number', 'Item', 'Category', 'Quantity', 'Last Bought', 'Runs Out', 'Days Left', 'Got It']]
+      .concat(getShoppingItems().map(i => [
+        i.sku, i.name, i.category, i.usualQuantity, formatDate(i.lastPurchase), formatDate(i.runOutDate),
+        i.daysLeft, i.checked ? 'Yes' : ''
+      ]));
+    downloadCsv('shopping-list.csv', rows);
+  }
+
+  function printShoppingList() {
+    const items = getShoppingItems().filter(i => !i.checked);
+
+    printReport(`
+      <h1>SHOPPING LIST</h1>
+      <p class="print-meta">Costco Wholesale<br>Printed ${formatDate(new Date())}</p>
+      <table>
+        <thead>
+          <tr>
+            <th></th>
+            <th>Item</th>
+            <th class="print-amount">Qty</th>
+            <th>Runs Out</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${items.map(i => `
+            <tr>
+              <td>&#9744;</td>
+              <td>${escHtml(i.name)}${i.sku ? ` (#${escHtml(i.sku)})` : ''}</td>
+              <td class="print-amount">${i.usualQuantity}</td>
+              <td>${formatDate(i.runOutDate)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `);
   }
 
   /* ---- UI Helpers ---- */
@@ -443,8 +3563,9 @@ const CostcoApp = (() => {
   }
 
   function showError(message) {
-    const uploadArea = document.getElementById('upload-area');
-    const existing = uploadArea.querySelector('.upload-error');
+    const dashboardVisible = !document.getElementById('dashboard-section').hidden;
+    const host = document.getElementById(dashboardVisible ? 'dashboard-messages' : 'upload-area');
+    const existing = host.querySelector('.upload-error');
     if (existing) existing.remove();
 
     const el = document.createElement('div');
@@ -452,11 +3573,51 @@ const CostcoApp = (() => {
     el.setAttribute('role', 'alert');
     el.setAttribute('data-variant', 'danger');
     el.textContent = message;
-    uploadArea.appendChild(el);
+    host.appendChild(el);
 
     setTimeout(() => el.remove(), 8000);
   }
 
+  /**
+   * Download rows (arrays of cell values) as a CSV file. Text cells that start like a formula get a leading apostrophe so
+   * spreadsheets show them as text instead of evaluating them; numbers such
+   * as negative amounts are written as-is.
+   */
+  function downloadCsv(filename, rows) {
+    const csv = rows.map(row => row.map(cell => {
+      let text = cell == null ? '' : String(cell);
+      if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = "'" + text;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Print a standalone report: render it into the print area and hide the
+   * rest of the page for the duration of the print dialog.
+   */
+  function printReport(html) {
+    const area = document.getElementById('print-area');
+    area.innerHTML = html;
+    area.hidden = false;
+    document.body.classList.add('printing');
+
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('printing');
+      area.hidden = true;
+      area.innerHTML = '';
+    }, { once: true });
+    window.print();
+  }
+
   function formatDollar(val) {
     if (val == null || isNaN(val)) return '$0.00';
     const abs = Math.abs(val);
@@ -464,6 +3625,21 @@ const CostcoApp = (() => {
     return val < 0 ? '-' + formatted : formatted;
   }
 
+  // Pump prices are posted to a tenth of a cent
+  function formatGallonPrice(val) {
+    return '$' + (val || 0).toFixed(3);
+  }
+
+  function round1(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
   function formatDate(date) {
     if (!date || !(date instanceof Date)) return '--';
     return (date.getMonth() + 1) + '/' + date.getDate() + '/' + date.getFullYear();
@@ -6,6 +6,7 @@
 const CostcoCharts = (() => {
 
   const chartInstances = {};
+  let itemClickHandler = null;
 
   const COLORS = {
     primary: 'rgba(79, 70, 229, 0.8)',
@@ -91,25 +92,115 @@ const CostcoCharts = (() => {
 
   /* ---- Monthly Spending (stacked bar) ---- */
 
-  function renderMonthlySpending(data) {
+  /**
+   * @param {Object} data - metrics.monthly
+   * @param {Object|null} comparison - comparison purchases aligned to data.labels
+   *   (see CostcoAnalytics.alignMonthly), drawn as a line over the bars.
+   */
+  function renderMonthlySpending(data, comparison) {
+    const datasets = [
+      {
+        label: 'Purchases',
+        data: data.purchases,
+        backgroundColor: COLORS.primary,
+        borderColor: COLORS.primaryBorder,
+        borderWidth: 1
+      },
+      {
+        label: 'Returns',
+        data: data.returns,
+        backgroundColor: COLORS.danger,
+        borderColor: COLORS.dangerBorder,
+        borderWidth: 1
+      }
+    ];
+
+    if (comparison) {
+      datasets.push({
+        type: 'line',
+        label: 'Comparison period',
+        data: comparison.purchases,
+        stack: 'comparison',
+        borderColor: COLORS.warningBorder,
+        backgroundColor: COLORS.warning,
+        borderDash: [6, 4],
+        spanGaps: true,
+        tension: 0.3,
+        pointRadius: 3
+      });
+    }
+
     getOrCreate('chart-monthly-spending', {
       type: 'bar',
       data: {
         labels: data.labels.map(formatMonthLabel),
+        datasets
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                const val = ctx.parsed.y || 0;
+                if (ctx.dataset.stack === 'comparison') {
+                  return `${formatMonthLabel(comparison.labels[ctx.dataIndex])}: $${val.toFixed(2)}`;
+                }
+                return `${ctx.dataset.label}: $${val.toFixed(2)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            stacked: true,
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            stacked: true,
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() }
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Personal Inflation Index (line) ---- */
+
+  function renderInflationIndex(data) {
+    if (data.basketSize === 0 || data.periods.length < 2) {
+      showEmptyState('chart-inflation-index', 'Buy the same items in at least two periods to build an inflation index.');
+      return;
+    }
+    showEmptyState('chart-inflation-index', null);
+
+    getOrCreate('chart-inflation-index', {
+      type: 'line',
+      data: {
+        labels: data.periods.map(formatPeriodLabel),
         datasets: [
           {
-            label: 'Purchases',
-            data: data.purchases,
-            backgroundColor: COLORS.primary,
-            borderColor: COLORS.primaryBorder,
-            borderWidth: 1
+            label: 'Price Index',
+            data: data.index,
+            yAxisID: 'y',
+            borderColor: COLORS.warningBorder,
+            backgroundColor: COLORS.warning,
+            tension: 0.2,
+            pointRadius: 3
           },
           {
-            label: 'Returns',
-            data: data.returns,
-            backgroundColor: COLORS.danger,
-            borderColor: COLORS.dangerBorder,
-            borderWidth: 1
+            type: 'bar',
+            label: 'Spending at Base Prices',
+            data: data.real,
+            yAxisID: 'y1',
+            backgroundColor: 'rgba(79, 70, 229, 0.25)',
+            borderWidth: 0
           }
         ]
       },
@@ -117,21 +208,32 @@ const CostcoCharts = (() => {
         ...baseOptions(),
         plugins: {
           legend: { labels: { color: getTextColor() } },
-          tooltip: dollarTooltip()
+          tooltip: {
+            callbacks: {
+              label: (ctx) => ctx.dataset.yAxisID === 'y'
+                ? `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}`
+                : `${ctx.dataset.label}: $${ctx.parsed.y.toFixed(2)}`
+            }
+          }
         },
         scales: {
           x: {
-            stacked: true,
             ticks: { color: getTextColor() },
             grid: { color: getGridColor() }
           },
           y: {
-            stacked: true,
+            position: 'left',
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y1: {
+            position: 'right',
             ticks: {
               color: getTextColor(),
               callback: (v) => '$' + v
             },
-            grid: { color: getGridColor() }
+            grid: { display: false },
+            beginAtZero: true
           }
         }
       }
@@ -140,24 +242,48 @@ const CostcoCharts = (() => {
 
   /* ---- Department Spending (horizontal bar) ---- */
 
-  function renderDepartment(data) {
+  /**
+   * @param {Object} data - metrics.departments
+   * @param {Object|null} comparison - comparison values in data.labels order
+   *   (see CostcoAnalytics.alignDepartments), drawn as a second bar series.
+   */
+  function renderDepartment(data, comparison) {
+    const datasets = [{
+      label: comparison ? 'Current period' : 'Spending',
+      data: data.values,
+      backgroundColor: data.labels.map((_, i) => PALETTE[i % PALETTE.length]),
+      borderWidth: 1
+    }];
+
+    if (comparison) {
+      datasets.push({
+        label: 'Comparison period',
+        data: comparison.values,
+        backgroundColor: COLORS.warning,
+        borderColor: COLORS.warningBorder,
+        borderWidth: 1
+      });
+    }
+
     getOrCreate('chart-department', {
       type: 'bar',
       data: {
         labels: data.labels,
-        datasets: [{
-          label: 'Spending',
-          data: data.values,
-          backgroundColor: data.labels.map((_, i) => PALETTE[i % PALETTE.length]),
-          borderWidth: 1
-        }]
+        datasets
       },
       options: {
         ...baseOptions(),
         indexAxis: 'y',
         plugins: {
-          legend: { display: false },
-          tooltip: dollarTooltip()
+          legend: {
+            display: !!comparison,
+            labels: { color: getTextColor() }
+          },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => `${ctx.dataset.label}: $${ctx.parsed.x.toFixed(2)}`
+            }
+          }
         },
         scales: {
           x: {
@@ -236,6 +362,8 @@ const CostcoCharts = (() => {
       options: {
         ...baseOptions(),
         indexAxis: 'y',
+        onClick: itemClickCallback(data.keys),
+        onHover: pointerOnHover,
         plugins: {
           legend: { display: false },
           tooltip: {
@@ -278,6 +406,8 @@ const CostcoCharts = (() => {
       options: {
         ...baseOptions(),
         indexAxis: 'y',
+        onClick: itemClickCallback(data.keys),
+        onHover: pointerOnHover,
         plugins: {
           legend: { display: false },
           tooltip: {
@@ -309,12 +439,10 @@ const CostcoCharts = (() => {
 
   function renderSavingsBreakdown(data) {
     if (data.labels.length === 0) {
-      const el = document.getElementById('chart-savings-breakdown');
-      if (el && el.parentElement) {
-        el.parentElement.innerHTML = '<p>No savings data found in the uploaded file.</p>';
-      }
+      showEmptyState('chart-savings-breakdown', 'No savings data found in the uploaded file.');
       return;
     }
+    showEmptyState('chart-savings-breakdown', null);
 
     getOrCreate('chart-savings-breakdown', {
       type: 'doughnut',
@@ -383,16 +511,626 @@ const CostcoCharts = (() => {
     });
   }
 
+  /* ---- Spend by Payment Method (stacked bar) ---- */
+
+  function renderPaymentMonthly(data) {
+    if (data.monthly.labels.length === 0) {
+      showEmptyState('chart-payment-monthly', 'No receipts in this period.');
+      return;
+    }
+    showEmptyState('chart-payment-monthly', null);
+
+    getOrCreate('chart-payment-monthly', {
+      type: 'bar',
+      data: {
+        labels: data.monthly.labels.map(formatMonthLabel),
+        datasets: data.monthly.methods.map((m, i) => ({
+          label: m.name,
+          data: m.data,
+          backgroundColor: PALETTE[i % PALETTE.length],
+          borderWidth: 1
+        }))
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            stacked: true,
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            stacked: true,
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() }
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Budget vs Actual (bar + budget line) ---- */
+
+  function renderBudgetVsActual(data) {
+    if (!data.hasBudgets || data.months.length === 0) {
+      showEmptyState('chart-budget-monthly', 'Set a monthly budget to compare it with your spending.');
+      return;
+    }
+    showEmptyState('chart-budget-monthly', null);
+
+    getOrCreate('chart-budget-monthly', {
+      type: 'bar',
+      data: {
+        labels: data.months.map(formatMonthLabel),
+        datasets: [
+          {
+            label: 'Actual',
+            data: data.overall.actual,
+            backgroundColor: data.overall.actual.map(v =>
+              v > data.overall.budget ? COLORS.danger : COLORS.primary),
+            borderWidth: 1
+          },
+          {
+            type: 'line',
+            label: 'Budget',
+            data: data.months.map(() => data.overall.budget),
+            borderColor: COLORS.warningBorder,
+            backgroundColor: COLORS.warning,
+            borderDash: [6, 4],
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() },
+            beginAtZero: true
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Budget Burn-Down (line) ---- */
+
+  function renderBurnDown(data) {
+    if (!data || data.budget === null) {
+      showEmptyState('chart-budget-burndown', 'Set a monthly budget to see how fast it is being used.');
+      return;
+    }
+    showEmptyState('chart-budget-burndown', null);
+
+    getOrCreate('chart-budget-burndown', {
+      type: 'line',
+      data: {
+        labels: data.days,
+        datasets: [
+          {
+            label: 'Budget remaining',
+            data: data.remaining,
+            borderColor: COLORS.primaryBorder,
+            backgroundColor: COLORS.primary,
+            stepped: true,
+            pointRadius: 0
+          },
+          {
+            label: 'Even pace',
+            data: data.ideal,
+            borderColor: COLORS.successBorder,
+            borderDash: [6, 4],
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Day of ' + formatMonthLabel(data.month), color: getTextColor() },
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() }
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Spend by Location (bar) ---- */
+
+  function renderLocationSpend(data) {
+    getOrCreate('chart-location-spend', {
+      type: 'bar',
+      data: {
+        labels: data.warehouses.map(w => w.name),
+        datasets: [{
+          label: 'Net Spend',
+          data: data.warehouses.map(w => w.spend),
+          backgroundColor: data.warehouses.map((_, i) => PALETTE[i % PALETTE.length]),
+          borderWidth: 1
+        }]
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { display: false },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            ticks: { color: getTextColor() },
+            grid: { display: false }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() },
+            beginAtZero: true
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Department Mix by Location (100% stacked bar) ---- */
+
+  function renderLocationMix(data) {
+    const groups = data.warehouses.concat(data.channels.length > 1 ? data.channels : []);
+
+    // Keep the departments that matter most overall; fold the rest into Other
+    const totals = {};
+    groups.forEach(g => g.departments.forEach(d => {
+      totals[d.label] = (totals[d.label] || 0) + d.amount;
+    }));
+    const top = Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, 8).map(e => e[0]);
+
+    const datasets = top.map((label, i) => ({
+      label,
+      data: groups.map(g => {
+        const dept = g.departments.find(d => d.label === label);
+        return dept ? dept.share : 0;
+      }),
+      backgroundColor: PALETTE[i % PALETTE.length]
+    }));
+    datasets.push({
+      label: 'Other',
+      data: groups.map(g => round1(g.departments
+        .filter(d => !top.includes(d.label))
+        .reduce((s, d) => s + d.share, 0))),
+      backgroundColor: 'rgba(148, 163, 184, 0.6)'
+    });
+
+    getOrCreate('chart-location-mix', {
+      type: 'bar',
+      data: {
+        labels: groups.map(g => g.name),
+        datasets
+      },
+      options: {
+        ...baseOptions(),
+        indexAxis: 'y',
+        plugins: {
+          legend: {
+            position: 'bottom',
+            labels: { color: getTextColor(), boxWidth: 12, font: { size: 11 } }
+          },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.x.toFixed(1)}%`
+            }
+          }
+        },
+        scales: {
+          x: {
+            stacked: true,
+            max: 100,
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => v + '%'
+            },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            stacked: true,
+            ticks: { color: getTextColor(), font: { size: 11 } },
+            grid: { display: false }
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Fuel Price per Gallon (line per warehouse) ---- */
+
+  function renderFuelPrice(data) {
+    if (data.fillUps.length === 0) {
+      showEmptyState('chart-fuel-price', 'No gas station fill-ups in this period.');
+      return;
+    }
+    showEmptyState('chart-fuel-price', null);
+
+    getOrCreate('chart-fuel-price', {
+      type: 'line',
+      data: {
+        labels: data.fillUps.map(f => f.date ? formatShortDate(f.date) : ''),
+        datasets: data.warehouses.map((w, i) => ({
+          label: w.name,
+          data: data.fillUps.map(f => f.warehouse === w.name ? f.pricePerGallon : null),
+          borderColor: PALETTE[i % PALETTE.length],
+          backgroundColor: PALETTE[i % PALETTE.length],
+          spanGaps: true,
+          pointRadius: 3
+        }))
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v.toFixed(2)
+            },
+            grid: { color: getGridColor() }
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Monthly Fuel Spend (bar + gallons line) ---- */
+
+  function renderFuelMonthly(data) {
+    if (data.monthly.labels.length === 0) {
+      showEmptyState('chart-fuel-monthly', 'No gas station fill-ups in this period.');
+      return;
+    }
+    showEmptyState('chart-fuel-monthly', null);
+
+    getOrCreate('chart-fuel-monthly', {
+      type: 'bar',
+      data: {
+        labels: data.monthly.labels.map(formatMonthLabel),
+        datasets: [
+          {
+            label: 'Fuel Spend',
+            data: data.monthly.spend,
+            backgroundColor: COLORS.warning,
+            borderColor: COLORS.warningBorder,
+            borderWidth: 1,
+            yAxisID: 'y'
+          },
+          {
+            type: 'line',
+            label: 'Gallons',
+            data: data.monthly.gallons,
+            borderColor: COLORS.tealBorder,
+            backgroundColor: COLORS.teal,
+            tension: 0.3,
+            pointRadius: 3,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => ctx.dataset.yAxisID === 'y1'
+                ? `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)} gal`
+                : `${ctx.dataset.label}: $${ctx.parsed.y.toFixed(2)}`
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() },
+            beginAtZero: true
+          },
+          y1: {
+            position: 'right',
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => v + ' gal'
+            },
+            grid: { display: false },
+            beginAtZero: true
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Monthly Fees (stacked bar) ---- */
+
+  function renderFeesMonthly(data) {
+    const hasFees = data.monthly.shipping.concat(data.monthly.delivery, data.monthly.surcharges).some(v => v !== 0);
+    if (!hasFees) {
+      showEmptyState('chart-fees-monthly', 'No shipping, delivery, or surcharges in this period.');
+      return;
+    }
+    showEmptyState('chart-fees-monthly', null);
+
+    getOrCreate('chart-fees-monthly', {
+      type: 'bar',
+      data: {
+        labels: data.monthly.labels.map(formatMonthLabel),
+        datasets: [
+          {
+            label: 'Shipping & Handling',
+            data: data.monthly.shipping,
+            backgroundColor: COLORS.primary,
+            borderWidth: 1
+          },
+          {
+            label: 'Delivery Fees',
+            data: data.monthly.delivery,
+            backgroundColor: COLORS.teal,
+            borderWidth: 1
+          },
+          {
+            label: 'Surcharges',
+            data: data.monthly.surcharges,
+            backgroundColor: COLORS.warning,
+            borderWidth: 1
+          }
+        ]
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            stacked: true,
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            stacked: true,
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() },
+            beginAtZero: true
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Tag Breakdown (horizontal bar) ---- */
+
+  function renderTagBreakdown(data) {
+    if (data.tags.length === 0) {
+      showEmptyState('chart-tags', 'No tagged purchases in this period. Tag items from the item or receipt details.');
+      return;
+    }
+    showEmptyState('chart-tags', null);
+
+    getOrCreate('chart-tags', {
+      type: 'bar',
+      data: {
+        labels: data.tags.map(t => t.tag),
+        datasets: [{
+          label: 'Spend',
+          data: data.tags.map(t => t.spend),
+          backgroundColor: data.tags.map((t, i) => PALETTE[i % PALETTE.length]),
+          borderWidth: 1
+        }]
+      },
+      options: {
+        ...baseOptions(),
+        indexAxis: 'y',
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => `$${ctx.parsed.x.toFixed(2)} · ${data.tags[ctx.dataIndex].lines} lines`
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() },
+            beginAtZero: true
+          },
+          y: {
+            ticks: { color: getTextColor() },
+            grid: { display: false }
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Household Spend by Month (grouped bar) ---- */
+
+  function renderHouseholdMonthly(data) {
+    if (!data.hasMembers || data.monthly.labels.length === 0) {
+      showEmptyState('chart-household-monthly', data.hasMembers
+        ? 'No receipts in this period.'
+        : 'Add household members to split spending between them.');
+      return;
+    }
+    showEmptyState('chart-household-monthly', null);
+
+    getOrCreate('chart-household-monthly', {
+      type: 'bar',
+      data: {
+        labels: data.monthly.labels.map(formatMonthLabel),
+        datasets: data.monthly.members.map((m, i) => ({
+          label: m.name,
+          data: m.data,
+          backgroundColor: PALETTE[i % PALETTE.length],
+          borderWidth: 1
+        }))
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() },
+            beginAtZero: true
+          }
+        }
+      }
+    });
+  }
+
+  /* ---- Item Price History (line) ---- */
+
+  function renderItemPriceHistory(detail) {
+    if (detail.priceHistory.prices.length === 0) {
+      showEmptyState('chart-item-price', 'No dated purchases for this item.');
+      return;
+    }
+    showEmptyState('chart-item-price', null);
+
+    getOrCreate('chart-item-price', {
+      type: 'line',
+      data: {
+        labels: detail.priceHistory.dates.map(formatShortDate),
+        datasets: [
+          {
+            label: 'Shelf Price',
+            data: detail.priceHistory.prices,
+            borderColor: COLORS.primaryBorder,
+            backgroundColor: COLORS.primary,
+            stepped: true,
+            pointRadius: 4
+          },
+          {
+            label: 'Net of Instant Savings',
+            data: detail.priceHistory.netPrices,
+            borderColor: COLORS.successBorder,
+            backgroundColor: COLORS.success,
+            borderDash: [6, 4],
+            stepped: true,
+            pointRadius: 3
+          }
+        ]
+      },
+      options: {
+        ...baseOptions(),
+        plugins: {
+          legend: { labels: { color: getTextColor() } },
+          tooltip: dollarTooltip()
+        },
+        scales: {
+          x: {
+            ticks: { color: getTextColor() },
+            grid: { color: getGridColor() }
+          },
+          y: {
+            ticks: {
+              color: getTextColor(),
+              callback: (v) => '$' + v
+            },
+            grid: { color: getGridColor() }
+          }
+        }
+      }
+    });
+  }
+
   /* ---- Render All ---- */
 
-  function renderAll(metrics) {
-    renderMonthlySpending(metrics.monthly);
-    renderDepartment(metrics.departments);
+  /**
+   * @param {Object} metrics - CostcoAnalytics.computeAll result
+   * @param {Object} [comparison] - {monthly, departments} aligned comparison series
+   * @param {Object} [options]
+   * @param {'month'|'quarter'} [options.inflationPeriod] - inflation index granularity
+   */
+  function renderAll(metrics, comparison, options) {
+    const opts = options || {};
+    renderMonthlySpending(metrics.monthly, comparison ? comparison.monthly : null);
+    renderInflationIndex(metrics.inflation[opts.inflationPeriod || 'month']);
+    renderDepartment(metrics.departments, comparison ? comparison.departments : null);
     renderBasketSize(metrics.basketSize);
     renderTopFrequency(metrics.topFrequency);
     renderTopSpend(metrics.topSpend);
     renderSavingsBreakdown(metrics.savingsBreakdown);
     renderMonthlySavings(metrics.monthlySavings);
+    renderPaymentMonthly(metrics.payments);
+    renderLocationSpend(metrics.locations);
+    renderLocationMix(metrics.locations);
+    renderFuelPrice(metrics.fuel);
+    renderFuelMonthly(metrics.fuel);
+    renderFeesMonthly(metrics.feesAndTaxes);
+    renderTagBreakdown(metrics.tags);
+    renderHouseholdMonthly(metrics.household);
+    renderBudgetVsActual(metrics.budgets);
+    renderBurnDown(metrics.budgets.current);
   }
 
   function destroyAll() {
@@ -406,6 +1144,67 @@ const CostcoCharts = (() => {
 
   /* ---- Helpers ---- */
 
+  /**
+   * Register a callback for clicks on item bars; it receives the item key.
+   */
+  function setItemClickHandler(fn) {
+    itemClickHandler = fn;
+  }
+
+  function itemClickCallback(keys) {
+    return (evt, elements) => {
+      if (!itemClickHandler || !keys || elements.length === 0) return;
+      itemClickHandler(keys[elements[0].index]);
+    };
+  }
+
+  function pointerOnHover(evt, elements) {
+    if (evt.native && evt.native.target) {
+      evt.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+    }
+  }
+
+  function round1(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  function formatPeriodLabel(key) {
+    const quarter = /^(\d{4})-Q(\d)$/.exec(key);
+    return quarter ? `Q${quarter[2]} ${quarter[1]}` : formatMonthLabel(key);
+  }
+
+  function formatShortDate(date) {
+    return (date.getMonth() + 1) + '/' + date.getDate() + '/' + String(date.getFullYear()).slice(2);
+  }
+
+  /**
+   * Swap a chart canvas for a placeholder message (or back, when message is null).
+   * The canvas is kept in the DOM so the chart can be rendered again later.
+   */
+  function showEmptyState(id, message) {
+    const canvas = document.getElementById(id);
+    if (!canvas || !canvas.parentElement) return;
+
+    let note = canvas.parentElement.querySelector('.chart-empty');
+    if (message) {
+      if (chartInstances[id]) {
+        chartInstances[id].destroy();
+        delete chartInstances[id];
+      }
+      if (!note) {
+        note = document.createElement('p');
+        note.className = 'chart-empty';
+        canvas.parentElement.appendChild(note);
+      }
+      note.textContent = message;
+      note.hidden = false;
+      canvas.hidden = true;
+    } else {
+      canvas.hidden = false;
+      if (note) note.hidden = true;
+    }
+  }
+
   function formatMonthLabel(key) {
     if (!key) return '';
     const [y, m] = key.split('-');
@@ -414,5 +1213,11 @@ const CostcoCharts = (() => {
     return months[parseInt(m) - 1] + ' ' + y;
   }
 
-  return { renderAll, destroyAll };
+  return {
+    renderAll,
+    renderInflationIndex,
+    renderItemPriceHistory,
+    setItemClickHandler,
+    destroyAll
+  };
 })();
@@ -1,7 +1,8 @@
 /**
  * parser.js - CSV/Excel file parsing and data normalization for Costco receipts.
  *
- * Uses SheetJS (XLSX) to handle .csv, .xlsx, and .xls formats.
+ * Uses SheetJS (XLSX) to handle .csv, .xlsx, and .xls formats, and pdf.js to
+ * read the text of receipt PDFs.
  * Exports a global CostcoParser object.
  */
 const CostcoParser = (() => {
@@ -24,63 +25,531 @@ const CostcoParser = (() => {
     'delivery_fees', 'surcharges', 'final_total'
   ];
 
+  // Columns a file must provide (directly or through a column mapping)
+  const REQUIRED_COLUMNS = ['transaction_date', 'item_name', 'quantity', 'line_total'];
+
+  // Header spellings used by other exporters and scrapers, keyed by schema column.
+  // Compared after headerKey(), so case, spacing, and punctuation don't matter.
+  const COLUMN_ALIASES = {
+    order_number: ['order', 'order number', 'order id'],
+    receipt_id: ['receipt', 'receipt number', 'receipt id', 'transaction id', 'transaction number', 'transaction barcode'],
+    receipt_type: ['type', 'receipt type', 'channel'],
+    transaction_date: ['date', 'transaction date', 'transaction date time', 'purchase date', 'order date', 'trans date'],
+    warehouse_info: ['warehouse', 'store', 'location', 'warehouse name'],
+    item_sku: ['item number', 'item no', 'sku', 'item id', 'product id'],
+    item_name: ['description', 'item', 'item description', 'item description 01', 'product', 'name', 'product name'],
+    item_description_2: ['item description 02'],
+    quantity: ['qty', 'units', 'unit', 'count'],
+    unit_price: ['price', 'each', 'price each', 'item price', 'item unit price amount'],
+    line_total: ['amount', 'total', 'line amount', 'extended price', 'item total'],
+    department_id: ['department', 'dept', 'dept number', 'item department number'],
+    instant_savings: ['savings', 'instant savings'],
+    discount_amount: ['discount'],
+    tax_total: ['tax', 'taxes'],
+    final_total: ['receipt total', 'grand total', 'order total', 'total'],
+    payment_methods: ['payment', 'payment method', 'tender', 'tender array', 'card']
+  };
+
   /**
    * Read a File object and return an array of normalized row objects.
    * @param {File} file
    * @returns {Promise<Array<Object>>}
    */
-  function parseFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  async function parseFile(file) {
+    return normalizeRows(await readFile(file));
+  }
 
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array', cellDates: true });
-          const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-          const jsonRows = XLSX.utils.sheet_to_json(firstSheet, { defval: '' });
-
-          if (jsonRows.length === 0) {
-            reject(new Error('The file appears to be empty.'));
-            return;
-          }
-
-          const normalized = normalizeRows(jsonRows);
-          resolve(normalized);
-        } catch (err) {
-          reject(new Error('Failed to parse file: ' + err.message));
+  /**
+   * Read a File object into raw rows keyed by the file's own headers.
+   * Workbooks with several non-empty sheets ask chooseSheets which to import;
+   * JSON and NDJSON files are flattened to one row per line item.
+   * @param {File} file
+   * @param {function(Array<{name: string, rowCount: number}>): Promise<Array<string>|null>} [chooseSheets]
+   *   Resolve with the sheet names to import, or null to skip the file.
+   *   Without it, every sheet is imported.
+   * @returns {Promise<Array<Object>|null>} null when the file was skipped
+   */
+  async function readFile(file, chooseSheets) {
+    const buffer = await readArrayBuffer(file);
+    let rows;
+
+    try {
+      if (isJsonFile(file)) {
+        rows = flattenJson(new TextDecoder().decode(buffer));
+      } else {
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: true });
+        const sheets = workbook.SheetNames
+          .map(name => ({ name, rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: '' }) }))
+          .filter(sheet => sheet.rows.length > 0);
+
+        let names = sheets.map(sheet => sheet.name);
+        if (sheets.length > 1 && chooseSheets) {
+          names = await chooseSheets(sheets.map(sheet => ({ name: sheet.name, rowCount: sheet.rows.length })));
+          if (!names) return null;
         }
-      };
+        rows = [].concat(...sheets.filter(sheet => names.includes(sheet.name)).map(sheet => sheet.rows));
+      }
+    } catch (err) {
+      throw new Error('Failed to parse file: ' + err.message);
+    }
+
+    if (rows.length === 0) {
+      throw new Error('The file appears to be empty.');
+    }
+    return rows;
+  }
 
+  function readArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
       reader.onerror = () => reject(new Error('Failed to read file.'));
       reader.readAsArrayBuffer(file);
     });
   }
 
+  /* ---- JSON Import ---- */
+
+  // Property names scrapers use for a receipt's line items (Costco's own API uses itemArray)
+  const LINE_ITEM_KEYS = ['itemArray', 'items', 'lineItems', 'line_items', 'lines', 'products'];
+
+  function isJsonFile(file) {
+    return /\.(json|ndjson|jsonl)$/i.test(file.name) || /json/.test(file.type || '');
+  }
+
+  /**
+   * Turn a JSON array (or NDJSON) of receipts into flat rows: one per nested
+   * line item, carrying the receipt's own fields. Nested objects become
+   * parent_child columns; other arrays (e.g. tenders) are summarized as text.
+   */
+  function flattenJson(text) {
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch (err) {
+      records = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    if (!Array.isArray(records)) {
+      const list = Object.values(records || {}).find(Array.isArray);
+      records = list || [records];
+    }
+
+    const rows = [];
+    records.forEach(record => {
+      if (!record || typeof record !== 'object') return;
+
+      const itemsKey = LINE_ITEM_KEYS.find(key => Array.isArray(record[key])) ||
+        Object.keys(record).find(key => Array.isArray(record[key]) &&
+          record[key].length > 0 && record[key].every(v => v && typeof v === 'object'));
+
+      const receipt = flattenObject(record, '', itemsKey);
+      const items = itemsKey ? record[itemsKey] : [];
+      if (items.length === 0) {
+        rows.push(receipt);
+        return;
+      }
+      items.forEach(item => rows.push({ ...receipt, ...flattenObject(item, '') }));
+    });
+    return rows;
+  }
+
+  function flattenObject(obj, prefix, skipKey) {
+    const flat = {};
+    Object.keys(obj).forEach(key => {
+      if (key === skipKey) return;
+      const value = obj[key];
+      const name = prefix ? `${prefix}_${key}` : key;
+
+      if (Array.isArray(value)) {
+        flat[name] = value.map(summarizeValue).filter(Boolean).join('; ');
+      } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        Object.assign(flat, flattenObject(value, name));
+      } else {
+        flat[name] = value == null ? '' : value;
+      }
+    });
+    return flat;
+  }
+
+  // A tender like {tenderDescription: "VISA", displayAccountNumber: "1234"} reads "VISA ****1234"
+  function summarizeValue(value) {
+    if (!value || typeof value !== 'object') return value == null ? '' : String(value);
+
+    const keys = Object.keys(value);
+    const labelKey = keys.find(k => /description|name|label/i.test(k) && typeof value[k] === 'string') ||
+      keys.find(k => typeof value[k] === 'string');
+    const accountKey = keys.find(k => /account|last\s*4|last_?four/i.test(k));
+    const label = labelKey ? value[labelKey].trim() : '';
+    const account = accountKey ? String(value[accountKey]).match(/(\d{4})\s*$/) : null;
+    return account ? `${label} ****${account[1]}`.trim() : label;
+  }
+
+  /* ---- Receipt Text (PDFs and pasted receipts) ---- */
+
+  const PDF_WORKER_SRC = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+
+  // "E  1234567 KS WATER 40PK  4.99 N", refunds end in "-"
+  const ITEM_LINE = /^\s*(?:E\s+)?(\d{3,10})\s+(.+?)\s+\$?(\d{1,3}(?:,\d{3})*\.\d{2})(-)?\s*([A-Z])?\s*$/;
+  // "0000361234 / 1234567  1.50-" or "TPD/1234567 1.50-"
+  const DISCOUNT_LINE = /^\s*(?:E\s+)?(?:\d+|TPD)\s*\/\s*(\d{3,10})\s+\$?(\d+\.\d{2})-\s*[A-Z]?\s*$/i;
+  // "2 @ 7.49"
+  const QUANTITY_LINE = /^\s*(\d+)\s*@\s*\$?(\d+\.\d{2})\s*$/;
+  const DATE_PATTERN = /\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/;
+  const PAYMENT_PATTERN = /\b(VISA|MASTERCARD|MC|AMEX|AMERICAN EXPRESS|DISCOVER|DEBIT|CASH|EBT|SHOP CARD)\b/i;
+
+  /**
+   * Read a digital receipt PDF (e.g. printed from Costco's orders page) and
+   * parse its text into normalized rows.
+   * @param {File} file
+   * @returns {Promise<Array<Object>>}
+   */
+  async function parsePdf(file) {
+    if (typeof pdfjsLib === 'undefined') {
+      throw new Error('The PDF reader failed to load. Check your connection and reload the page.');
+    }
+    if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC;
+    }
+
+    const data = new Uint8Array(await file.arrayBuffer());
+    const pdf = await pdfjsLib.getDocument({ data }).promise;
+    const pages = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      pages.push(textItemsToLines(content.items));
+    }
+
+    const rows = parseReceiptText(pages.join('\n'));
+    if (rows.length === 0) {
+      throw new Error('No receipt lines were found in this PDF. Scanned images are not supported.');
+    }
+    return rows;
+  }
+
+  /**
+   * Rebuild text lines from pdf.js text items, which come as positioned
+   * fragments: group by baseline, then order left to right.
+   */
+  function textItemsToLines(items) {
+    const lines = [];
+    items.forEach(item => {
+      if (!item.str || !item.str.trim()) return;
+      const x = item.transform[4];
+      const y = item.transform[5];
+      let line = lines.find(l => Math.abs(l.y - y) < 2);
+      if (!line) {
+        line = { y, parts: [] };
+        lines.push(line);
+      }
+      line.parts.push({ x, str: item.str });
+    });
+
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map(l => l.parts.sort((a, b) => a.x - b.x).map(p => p.str.trim()).join('  '))
+      .join('\n');
+  }
+
+  /**
+   * Parse the text of one or more printed receipts into normalized rows.
+   * Recognizes item lines (SKU, description, price, tax flag), TPD / instant
+   * savings lines, "2 @ 7.49" quantity lines, refunds, and the subtotal, tax,
+   * and total. Receipts are split at each "Costco Wholesale" header.
+   * @param {string} text
+   * @returns {Array<Object>}
+   */
+  function parseReceiptText(text) {
+    const rawRows = [];
+    splitReceipts(String(text || '')).forEach(lines => {
+      rawRows.push(...parseReceiptLines(lines));
+    });
+    return rawRows.length > 0 ? normalizeRows(rawRows) : [];
+  }
+
+  function splitReceipts(text) {
+    const receipts = [];
+    let current = [];
+    text.split(/\r?\n/).forEach(line => {
+      if (/^\s*COSTCO\s+WHOLESALE\b/i.test(line) && current.some(l => ITEM_LINE.test(l))) {
+        receipts.push(current);
+        current = [];
+      }
+      current.push(line);
+    });
+    receipts.push(current);
+    return receipts;
+  }
+
+  function parseReceiptLines(lines) {
+    const items = [];
+    const totals = { subtotal: 0, tax: 0, total: 0 };
+    let date = null;
+    let warehouse = '';
+    let payment = '';
+    let barcode = '';
+    let pendingQuantity = null;
+
+    lines.forEach((line, i) => {
+      const upper = line.trim().toUpperCase();
+      if (!upper) return;
+
+      const amount = (upper.match(/\$?(\d{1,3}(?:,\d{3})*\.\d{2})-?\s*$/) || [])[1];
+      const value = amount ? parseNumber(amount) * (/-\s*$/.test(upper) ? -1 : 1) : 0;
+
+      if (!date) {
+        const m = upper.match(DATE_PATTERN);
+        if (m) {
+          const year = m[3].length === 2 ? 2000 + parseInt(m[3]) : parseInt(m[3]);
+          date = `${year}-${String(m[1]).padStart(2, '0')}-${String(m[2]).padStart(2, '0')}`;
+        }
+      }
+      if (!warehouse && i < 10 && /#\s*\d+\s*$/.test(upper) && !ITEM_LINE.test(line)) {
+        warehouse = line.trim().replace(/\s+/g, ' ');
+        return;
+      }
+      if (!barcode && /^\d{15,25}$/.test(upper.replace(/\s/g, ''))) {
+        barcode = upper.replace(/\s/g, '');
+        return;
+      }
+      if (/^SUB\s*TOTAL\b/.test(upper)) {
+        totals.subtotal = value;
+        return;
+      }
+      if (/^TAX\b/.test(upper)) {
+        totals.tax = value;
+        return;
+      }
+      if (/^\**\s*TOTAL\b(?!\s+NUMBER)/.test(upper)) {
+        totals.total = value;
+        return;
+      }
+      if (!payment && PAYMENT_PATTERN.test(upper) && !ITEM_LINE.test(line)) {
+        payment = upper.match(PAYMENT_PATTERN)[1];
+        const last4 = upper.match(/\*+\s*(\d{4})\b|X{4,}(\d{4})\b/);
+        if (last4) payment += ' ****' + (last4[1] || last4[2]);
+        return;
+      }
+
+      const qty = line.match(QUANTITY_LINE);
+      if (qty) {
+        pendingQuantity = { quantity: parseInt(qty[1]), unitPrice: parseNumber(qty[2]) };
+        return;
+      }
+
+      const discount = line.match(DISCOUNT_LINE);
+      if (discount) {
+        const target = items.slice().reverse().find(it => it.sku === discount[1]) || items[items.length - 1];
+        if (target) target.savings += parseNumber(discount[2]);
+        return;
+      }
+
+      const item = line.match(ITEM_LINE);
+      if (item) {
+        const total = parseNumber(item[3]) * (item[4] ? -1 : 1);
+        let quantity = item[4] ? -1 : 1;
+        let unitPrice = Math.abs(total);
+        if (pendingQuantity) {
+          quantity *= pendingQuantity.quantity;
+          unitPrice = pendingQuantity.unitPrice;
+          pendingQuantity = null;
+        }
+        items.push({
+          sku: item[1],
+          name: item[2].trim().replace(/\s+/g, ' '),
+          quantity,
+          unitPrice,
+          total,
+          taxFlag: item[5] || '',
+          savings: 0
+        });
+      }
+    });
+
+    const gas = items.length === 0 ? parseFuelLines(lines) : null;
+    if (gas) items.push(gas);
+    if (items.length === 0) return [];
+
+    const receiptId = barcode || `${date || 'undated'}-${Math.round(Math.abs(totals.total || items.reduce((s, it) => s + it.total, 0)) * 100)}`;
+    const savings = items.reduce((s, it) => s + it.savings, 0);
+    const subtotal = totals.subtotal || items.reduce((s, it) => s + it.total, 0) - savings;
+
+    // instant_savings repeats the receipt total on every line like the CSV
+    // exports; each item's own TPD discount goes in line_savings.
+
+    return items.map(it => ({
+      receipt_id: receiptId,
+      receipt_type: gas ? 'Gas Station' : 'In-Warehouse',
+      transaction_date: date || '',
+      warehouse_info: warehouse,
+      item_sku: it.sku,
+      item_name: it.name,
+      item_actual_name: it.name,
+      quantity: it.quantity,
+      unit_price: it.unitPrice,
+      line_total: it.total,
+      tax_flag: it.taxFlag,
+      instant_savings: savings,
+      line_savings: it.savings,
+      subtotal,
+      tax_total: totals.tax,
+      final_total: totals.total || subtotal + totals.tax,
+      payment_methods: payment
+    }));
+  }
+
+  /**
+   * Gas station receipts list gallons and price per gallon instead of items.
+   */
+  function parseFuelLines(lines) {
+    const text = lines.join('\n').toUpperCase();
+    const gallons = text.match(/GALLONS\s*:?\s*(\d+(?:\.\d+)?)/) || text.match(/(\d+\.\d+)\s*(?:G|GAL)\b/);
+    const price = text.match(/PRICE\s*\/\s*GAL(?:LON)?\s*:?\s*\$?(\d+\.\d{2,3})/) || text.match(/@\s*\$?(\d+\.\d{3})/);
+    if (!gallons || !price) return null;
+
+    const grade = (text.match(/\b(REGULAR|PREMIUM|SUPER|MIDGRADE|DIESEL)\b/) || [])[1] || 'GASOLINE';
+    const quantity = parseFloat(gallons[1]);
+    const unitPrice = parseFloat(price[1]);
+    return {
+      sku: '',
+      name: grade === 'GASOLINE' ? grade : `${grade} UNLEADED`.replace('DIESEL UNLEADED', 'DIESEL'),
+      quantity,
+      unitPrice,
+      total: Math.round(quantity * unitPrice * 100) / 100,
+      taxFlag: '',
+      savings: 0
+    };
+  }
+
+  /* ---- Column Mapping ---- */
+
+  /**
+   * Headers of a raw file, in column order, across all rows.
+   */
+  function getHeaders(rawRows) {
+    const headers = [];
+    const seen = new Set();
+    rawRows.slice(0, 50).forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (!seen.has(key)) {
+          seen.add(key);
+          headers.push(key);
+        }
+      });
+    });
+    return headers;
+  }
+
+  /**
+   * Required columns a raw file doesn't provide under their standard names.
+   */
+  function getMissingColumns(headers) {
+    const present = new Set(headers.map(cleanKey));
+    return REQUIRED_COLUMNS.filter(col => !present.has(col));
+  }
+
+  /**
+   * Map headers that are the standard names spelled differently, such as
+   * "transactionDate" or "Line Total", without guessing at aliases.
+   * @returns {Object<string, string>} schema column -> source header
+   */
+  function matchStandardColumns(headers) {
+    const columns = {};
+    EXPECTED_COLUMNS.forEach(col => {
+      const header = headers.find(h => headerKey(h) === headerKey(col));
+      if (header !== undefined) columns[col] = header;
+    });
+    return columns;
+  }
+
+  /**
+   * Guess a column mapping from a file's headers: standard names first, then
+   * known aliases. Each header is used at most once.
+   * @returns {Object<string, string>} schema column -> source header
+   */
+  function suggestColumns(headers) {
+    const byKey = {};
+    headers.forEach(h => {
+      const key = headerKey(h);
+      if (!(key in byKey)) byKey[key] = h;
+    });
+
+    const columns = {};
+    const used = new Set();
+    const take = (col, key) => {
+      const header = byKey[key];
+      if (header === undefined || used.has(header) || columns[col]) return;
+      columns[col] = header;
+      used.add(header);
+    };
+
+    EXPECTED_COLUMNS.forEach(col => take(col, headerKey(col)));
+    EXPECTED_COLUMNS.forEach(col => (COLUMN_ALIASES[col] || []).forEach(alias => take(col, headerKey(alias))));
+    return columns;
+  }
+
+  function cleanKey(key) {
+    return String(key).trim().toLowerCase().replace(/\s+/g, '_');
+  }
+
+  // "Item #" and "Item No." both become "itemnumber"
+  function headerKey(header) {
+    return String(header).toLowerCase()
+      .replace(/#/g, ' number ')
+      .replace(/\bno\b\.?/g, ' number ')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
   /**
    * Normalize column names and parse data types.
+   * @param {Array<Object>} rows - raw rows
+   * @param {Object<string, string>} [columns] - schema column -> source header,
+   *   from the column mapping step. Mapped files without a quantity count each
+   *   line as one unit (minus one for negative amounts).
    */
-  function normalizeRows(rows) {
+  function normalizeRows(rows, columns) {
+    const lineCounts = {};
+    const mapped = Object.entries(columns || {}).filter(([, source]) => source);
+    const deriveQuantity = mapped.length > 0 && !mapped.some(([col]) => col === 'quantity');
+
     return rows.map((row) => {
       const normalized = {};
       const keys = Object.keys(row);
 
       keys.forEach((key) => {
-        const cleanKey = key.trim().toLowerCase().replace(/\s+/g, '_');
-        normalized[cleanKey] = row[key];
+        normalized[cleanKey(key)] = row[key];
       });
+      mapped.forEach(([col, source]) => {
+        normalized[cleanKey(col)] = row[source];
+      });
+
+      // Original text of values that couldn't be read, for the data quality report
+      const coerced = {};
 
       NUMERIC_FIELDS.forEach((field) => {
         if (field in normalized) {
-          const val = parseFloat(normalized[field]);
-          normalized[field] = isNaN(val) ? 0 : val;
+          const raw = normalized[field];
+          normalized[field] = parseNumber(raw);
+          if (normalized[field] === 0 && isUnreadableNumber(raw)) coerced[field] = String(raw);
         } else {
           normalized[field] = 0;
         }
       });
 
+      if ('line_savings' in normalized) normalized.line_savings = parseNumber(normalized.line_savings);
+
+      if (deriveQuantity) {
+        normalized.quantity = normalized.line_total < 0 ? -1 : 1;
+      }
+      if (mapped.length > 0 && !normalized.unit_price && normalized.quantity) {
+        normalized.unit_price = Math.abs(normalized.line_total / normalized.quantity);
+      }
+
       if (normalized.transaction_date) {
-        normalized.transaction_date = parseDate(normalized.transaction_date);
+        const raw = normalized.transaction_date;
+        normalized.transaction_date = parseDate(raw);
+        if (!normalized.transaction_date) coerced.transaction_date = String(raw);
       }
 
       normalized.item_actual_name = normalized.item_actual_name || normalized.item_name || 'Unknown';
@@ -88,11 +557,90 @@ const CostcoParser = (() => {
       normalized.receipt_id = String(normalized.receipt_id || '').trim();
       normalized.order_number = String(normalized.order_number || '').trim();
       normalized.department_id = String(normalized.department_id || '').trim();
+      normalized.raw_receipt_hash = String(normalized.raw_receipt_hash || '').trim();
+
+      // Mapped exports often lack receipt ids; treat each day's lines as one trip
+      if (mapped.length > 0 && !normalized.receipt_id && !normalized.order_number &&
+          !normalized.raw_receipt_hash && normalized.transaction_date instanceof Date) {
+        normalized.receipt_id = toDateKey(normalized.transaction_date);
+      }
+      normalized.line_key = buildLineKey(normalized, lineCounts);
+      if (Object.keys(coerced).length > 0) normalized.coerced_values = coerced;
 
       return normalized;
     });
   }
 
+  /**
+   * Build a stable identity for a receipt line: the receipt, the SKU, and the
+   * line's position among that SKU's lines on the receipt. The same receipt
+   * exported twice produces the same keys, which is what mergeSources relies on.
+   */
+  function buildLineKey(row, lineCounts) {
+    const dateKey = row.transaction_date instanceof Date ? toDateKey(row.transaction_date) : '';
+    const receipt = row.receipt_id || row.raw_receipt_hash || row.order_number || dateKey;
+    const base = `${receipt}|${row.item_sku || row.item_actual_name}`;
+    lineCounts[base] = (lineCounts[base] || 0) + 1;
+    return `${base}|${lineCounts[base]}`;
+  }
+
+  /**
+   * Merge the rows of several parsed files into one dataset, dropping lines
+   * that were already seen in an earlier source.
+   * @param {Array<{id: string, rows: Array<Object>}>} sources
+   * @returns {{rows: Array<Object>, duplicates: Object<string, number>, duplicateRows: Array<Object>}}
+   *   Merged rows, the number of skipped lines per source id, and the skipped lines.
+   */
+  function mergeSources(sources) {
+    const seen = new Set();
+    const rows = [];
+    const duplicates = {};
+    const duplicateRows = [];
+
+    sources.forEach((source) => {
+      duplicates[source.id] = 0;
+      source.rows.forEach((row) => {
+        if (seen.has(row.line_key)) {
+          duplicates[source.id]++;
+          duplicateRows.push(row);
+          return;
+        }
+        seen.add(row.line_key);
+        rows.push(row);
+      });
+    });
+
+    return { rows, duplicates, duplicateRows };
+  }
+
+  // Local calendar date; toISOString would shift evening dates into the next UTC day
+  function toDateKey(date) {
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+  }
+
+  function isUnreadableNumber(raw) {
+    if (raw == null || typeof raw === 'number') return false;
+    const str = String(raw).trim();
+    return str !== '' && isNaN(parseFloat(str.replace(/[()$,\s]/g, '')));
+  }
+
+  /**
+   * Parse a number that may carry a currency symbol, thousands separators, or
+   * accounting-style parentheses for negatives ("$1,234.50", "(4.00)").
+   */
+  function parseNumber(val) {
+    if (typeof val === 'number') return isNaN(val) ? 0 : val;
+
+    let str = String(val == null ? '' : val).trim();
+    const negative = /^\(.*\)$/.test(str);
+    str = str.replace(/[()$,\s]/g, '');
+    const num = parseFloat(str);
+    if (isNaN(num)) return 0;
+    return negative ? -Math.abs(num) : num;
+  }
+
   /**
    * Parse a date value that could be a string (YYYY-MM-DD, MM/DD/YYYY) or a JS Date.
    */
@@ -125,9 +673,8 @@ const CostcoParser = (() => {
       return { valid: false, message: 'No data rows found in file.' };
     }
 
-    const required = ['transaction_date', 'item_name', 'quantity', 'line_total'];
     const firstRow = rows[0];
-    const missing = required.filter((col) => !(col in firstRow));
+    const missing = REQUIRED_COLUMNS.filter((col) => !(col in firstRow));
 
     if (missing.length > 0) {
       return {
@@ -139,5 +686,19 @@ const CostcoParser = (() => {
     return { valid: true, message: '' };
   }
 
-  return { parseFile, validate };
+  return {
+    EXPECTED_COLUMNS,
+    REQUIRED_COLUMNS,
+    parseFile,
+    parsePdf,
+    parseReceiptText,
+    readFile,
+    normalizeRows,
+    getHeaders,
+    getMissingColumns,
+    matchStandardColumns,
+    suggestColumns,
+    validate,
+    mergeSources
+  };
 })();
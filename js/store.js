@@ -0,0 +1,166 @@
+/**
+ * store.js - Local persistence of imported receipt data in IndexedDB.
+ *
+ * Everything stays in the browser; nothing is sent anywhere. If IndexedDB is
+ * unavailable (e.g. some private browsing modes) the store quietly becomes a
+ * no-op and the app keeps working in memory only.
+ * Exports a global CostcoStore object.
+ */
+const CostcoStore = (() => {
+
+  const DB_NAME = 'costco-analyzer';
+  const DB_VERSION = 2;
+  const SOURCES = 'sources';
+  const SETTINGS = 'settings';
+
+  let dbPromise = null;
+  const settingsCache = {};
+
+  /**
+   * Open (and create or upgrade, if needed) the database.
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable.
+   */
+  function open() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        resolve(null);
+        return;
+      }
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SOURCES)) {
+          db.createObjectStore(SOURCES, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SETTINGS)) {
+          db.createObjectStore(SETTINGS, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store and resolve with its result.
+   */
+  async function run(storeName, mode, action) {
+    const db = await open();
+    if (!db) return undefined;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(new Error('Local storage error: ' + (tx.error && tx.error.message)));
+      tx.onabort = () => reject(new Error('Local storage error: ' + (tx.error && tx.error.message)));
+    });
+  }
+
+  /**
+   * Load every saved source ({id, name, addedAt, rows}), oldest first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async function loadSources() {
+    const sources = await run(SOURCES, 'readonly', store => store.getAll());
+    return (sources || []).sort((a, b) => a.addedAt - b.addedAt);
+  }
+
+  function saveSource(source) {
+    return run(SOURCES, 'readwrite', store => store.put(source));
+  }
+
+  function deleteSource(id) {
+    return run(SOURCES, 'readwrite', store => store.delete(id));
+  }
+
+  /* ---- Settings ---- */
+
+  /**
+   * Load all saved settings into memory so getSetting can answer synchronously.
+   * Call once at startup, before anything reads a setting.
+   */
+  async function loadSettings() {
+    const entries = await run(SETTINGS, 'readonly', store => store.getAll());
+    (entries || []).forEach(e => { settingsCache[e.key] = e.value; });
+  }
+
+  /**
+   * Read a setting from the in-memory cache.
+   * @param {string} key
+   * @param {*} fallback - returned when the setting was never saved
+   */
+  function getSetting(key, fallback) {
+    return key in settingsCache ? settingsCache[key] : fallback;
+  }
+
+  /**
+   * Update a setting in memory and persist it.
+   * @returns {Promise<void>}
+   */
+  function setSetting(key, value) {
+    settingsCache[key] = value;
+    return run(SETTINGS, 'readwrite', store => store.put({ key, value }));
+  }
+
+  /**
+   * Forget everything this app has stored locally: imported files and settings.
+   */
+  async function clearAll() {
+    Object.keys(settingsCache).forEach(key => delete settingsCache[key]);
+    await run(SETTINGS, 'readwrite', store => store.clear());
+    return run(SOURCES, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * Report how much is stored: source count, row count, and approximate bytes.
+   * @returns {Promise<{available: boolean, sources: number, rows: number, bytes: number}>}
+   */
+  async function getUsage() {
+    const db = await open();
+    if (!db) return { available: false, sources: 0, rows: 0, bytes: 0 };
+
+    const sources = await loadSources();
+    const rows = sources.reduce((s, src) => s + src.rows.length, 0);
+
+    let bytes = 0;
+    if (navigator.storage && navigator.storage.estimate) {
+      try {
+        const estimate = await navigator.storage.estimate();
+        bytes = estimate.usage || 0;
+      } catch (err) {
+        bytes = 0;
+      }
+    }
+    if (!bytes) {
+      bytes = sources.reduce((s, src) => s + JSON.stringify(src.rows).length, 0);
+    }
+
+    return { available: true, sources: sources.length, rows, bytes };
+  }
+
+  return {
+    open,
+    loadSources,
+    saveSource,
+    deleteSource,
+    loadSettings,
+    getSetting,
+    setSetting,
+    clearAll,
+    getUsage
+  };
+})();
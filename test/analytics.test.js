@@ -0,0 +1,112 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+const load = (file, name) => vm.runInContext(
+  fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8') + `\n${name};`, context);
+const CostcoAnalytics = load('analytics.js', 'CostcoAnalytics');
+// Dates must come from the sandbox for the scripts' instanceof checks
+const SandboxDate = vm.runInContext('Date', context);
+
+/**
+ * One $29 receipt: a $10 bakery line and a $20 office line, $2 instant
+ * savings repeated on both, $1 tax, paid by VISA.
+ */
+function mixedReceipt() {
+  const line = (sku, name, dept, total, n) => ({
+    receipt_id: 'R1',
+    transaction_date: new SandboxDate(2026, 2, 14),
+    warehouse_info: 'Seattle #1',
+    item_sku: sku,
+    item_name: name,
+    item_actual_name: name,
+    department_id: dept,
+    quantity: 1,
+    unit_price: total,
+    line_total: total,
+    tax_flag: 'Y',
+    instant_savings: 2,
+    subtotal: 28,
+    tax_total: 1,
+    final_total: 29,
+    payment_methods: 'VISA',
+    line_key: `R1|${sku}|${n}`
+  });
+  return [
+    line('100', 'CROISSANTS', '13', 10, 0),
+    line('200', 'PRINTER PAPER', '39', 20, 0)
+  ];
+}
+
+const paymentTotal = metrics => metrics.payments.methods.reduce((s, m) => s + m.spend, 0);
+
+test('excluding a business line lowers the payment total', () => {
+  const rows = mixedReceipt();
+  const business = { receipts: {}, lines: { 'R1|200|0': true } };
+
+  const all = CostcoAnalytics.computeAll(rows, { allRows: rows });
+  const personal = CostcoAnalytics.excludeBusiness(rows, business);
+  const filtered = CostcoAnalytics.computeAll(personal, { allRows: rows });
+
+  assert.strictEqual(paymentTotal(all), 29);
+  assert.ok(paymentTotal(filtered) < paymentTotal(all));
+  assert.strictEqual(paymentTotal(filtered), 9.67);
+});
+
+test('a category filter pro-rates payments, tax, and savings to the filtered lines', () => {
+  const rows = mixedReceipt();
+  const bakery = CostcoAnalytics.filterByCategory(rows, CostcoAnalytics.getDeptLabel('13'));
+  const metrics = CostcoAnalytics.computeAll(bakery, { allRows: rows });
+  const receipt = metrics.feesAndTaxes.receipts[0];
+
+  assert.strictEqual(bakery.length, 1);
+  assert.strictEqual(paymentTotal(metrics), 9.67);
+  assert.strictEqual(receipt.merchandise, 9.33);
+  assert.strictEqual(receipt.tax, 0.33);
+  assert.strictEqual(receipt.effectiveRate, 3.57);
+});
+
+test('receipts with filtered-out lines still reconcile as whole receipts', () => {
+  const rows = mixedReceipt();
+  const bakery = CostcoAnalytics.filterByCategory(rows, CostcoAnalytics.getDeptLabel('13'));
+  const receipt = CostcoAnalytics.computeAll(bakery, { allRows: rows }).receipts[0];
+
+  assert.strictEqual(receipt.lineCount, 2);
+  assert.strictEqual(receipt.reconciles, true);
+});
+
+test('a tag filter pro-rates receipt figures and reconciles whole receipts', () => {
+  const rows = mixedReceipt();
+  const annotations = { items: {}, lines: { 'R1|200|0': { tags: ['office'], note: '' } } };
+  const office = CostcoAnalytics.filterByTag(rows, 'office', annotations);
+  const metrics = CostcoAnalytics.computeAll(office, { allRows: rows, annotations });
+
+  assert.strictEqual(office.length, 1);
+  assert.strictEqual(paymentTotal(metrics), 19.33);
+  assert.strictEqual(metrics.feesAndTaxes.receipts[0].merchandise, 18.67);
+  assert.strictEqual(metrics.feesAndTaxes.receipts[0].tax, 0.67);
+  assert.strictEqual(metrics.receipts[0].reconciles, true);
+});
+
+test('membership projections ignore the active filters', () => {
+  const rows = mixedReceipt();
+  const bakery = CostcoAnalytics.filterByCategory(rows, CostcoAnalytics.getDeptLabel('13'));
+  const options = { allRows: rows, membership: { renewalMonth: 1 } };
+
+  assert.deepStrictEqual(
+    CostcoAnalytics.computeAll(bakery, options).membership.years,
+    CostcoAnalytics.computeAll(rows, options).membership.years);
+});
+
+test('only pump products count as fuel', () => {
+  const line = name => ({ item_actual_name: name, receipt_type: 'In-Warehouse' });
+
+  assert.strictEqual(CostcoAnalytics.isFuelLine(line('PREM UNL')), true);
+  assert.strictEqual(CostcoAnalytics.isFuelLine(line('DIESEL')), true);
+  assert.strictEqual(CostcoAnalytics.isFuelLine(line('DIESEL EXHAUST FLUID')), false);
+  assert.strictEqual(CostcoAnalytics.isFuelLine(line('KS UNL PAPER TOWEL')), false);
+});